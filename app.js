@@ -1,8 +1,29 @@
+// Failure of a model request, typed so the retry policy can treat each kind differently.
+// Types: rate_limit, server, timeout, network, auth, context_length, content_filter, invalid_request, output
+class ApiError extends Error {
+    constructor(type, message, { status = null, retryAfter = 0 } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+        this.retryAfter = retryAfter; // ms the server asked us to wait, 0 if it did not say
+    }
+}
+
 class TranslationMachine {
     constructor() {
-        this.apiKey = '';
+        this.provider = 'openai';
+        this.ocrLanguages = ['eng'];
+        this.targetLanguage = 'en';
+        this.sourceLanguage = 'auto'; // 'auto' or a languageProfiles code, detected at upload
+        this.sourceDetection = null;
         this.currentFile = null;
         this.currentText = '';
+        this.epubStructure = null;
+        this.subtitleStructure = null;
+        this.textFileBuffer = null;
+        this.textFileType = 'text/plain';
+        this.pastedContent = null;
         this.translationState = {
             isRunning: false,
             isPaused: false,
@@ -12,21 +33,77 @@ class TranslationMachine {
             tokensUsed: 0,
             costSoFar: 0,
             sessionId: null,
-            config: null
+            config: null,
+            glossaryViolations: {},
+            repairedChunks: {},
+            memoryHits: 0,
+            memorySaved: 0,
+            spend: { sourceTokens: 0, warned: false }
         };
         
-        this.modelPricing = {
-            'gpt-4o-mini': { input: 0.000150, output: 0.000600 }, // per 1K tokens
-            'gpt-4o': { input: 0.0025, output: 0.01 }, // per 1K tokens  
-            'gpt-4-turbo': { input: 0.01, output: 0.03 } // per 1K tokens
+        // LLM providers: request format, auth scheme, default endpoint and the built-in models offered.
+        // Prices are per 1K tokens; contextWindow and maxOutput are in tokens. The model registry in Settings can replace a provider's models.
+        this.providers = {
+            openai: {
+                name: 'OpenAI',
+                format: 'openai',
+                auth: 'bearer',
+                baseUrl: 'https://api.openai.com/v1',
+                models: {
+                    'gpt-4o-mini': { label: 'GPT-4o Mini', input: 0.000150, output: 0.000600, contextWindow: 128000, maxOutput: 16384, encoding: 'o200k_base' },
+                    'gpt-4o': { label: 'GPT-4o', input: 0.0025, output: 0.01, contextWindow: 128000, maxOutput: 16384, encoding: 'o200k_base' },
+                    'gpt-4-turbo': { label: 'GPT-4 Turbo', input: 0.01, output: 0.03, contextWindow: 128000, maxOutput: 4096, encoding: 'cl100k_base' }
+                }
+            },
+            azure: {
+                name: 'Azure OpenAI',
+                format: 'azure',
+                auth: 'api-key',
+                baseUrl: '', // https://<resource>.openai.azure.com
+                apiVersion: '2024-10-21',
+                models: {} // deployment names are entered in Settings
+            },
+            anthropic: {
+                name: 'Anthropic',
+                format: 'anthropic',
+                auth: 'x-api-key',
+                baseUrl: 'https://api.anthropic.com/v1',
+                models: {
+                    'claude-3-5-haiku-latest': { label: 'Claude 3.5 Haiku', input: 0.0008, output: 0.004, contextWindow: 200000, maxOutput: 8192 },
+                    'claude-3-7-sonnet-latest': { label: 'Claude 3.7 Sonnet', input: 0.003, output: 0.015, contextWindow: 200000, maxOutput: 8192 }
+                }
+            },
+            local: {
+                name: 'Local / OpenAI-compatible',
+                format: 'openai',
+                auth: 'bearer',
+                keyOptional: true, // Ollama, llama.cpp and vLLM usually run without a key
+                baseUrl: 'http://localhost:11434/v1',
+                models: {}
+            }
         };
+        this.providerSettings = {}; // per provider: { apiKey, baseUrl, apiVersion }
+        this.modelRegistry = {}; // per provider: the full model table edited in Settings; providers without one use their built-in models
+        this.defaultModelLimits = { input: 0, output: 0, contextWindow: 8192, maxOutput: 4096 }; // unknown models cost nothing
 
+        // Translation presets are templates; {language} is replaced with the selected target language
         this.stylePresets = {
-            formal: 'You are a professional translator. Translate the following text from its original language to English. Use a formal, professional tone. Maintain the original structure and formatting. Provide ONLY the English translation, do not include the original text. The output must be in English.',
-            conversational: 'You are a professional translator. Translate the following text from its original language to English. Use a natural, conversational tone that sounds friendly and approachable. Provide ONLY the English translation, do not include the original text. The output must be in English.',
-            academic: 'You are a professional translator. Translate the following text from its original language to English. Use an academic, scholarly tone with precise terminology and formal structure. Provide ONLY the English translation, do not include the original text. The output must be in English.',
-            creative: 'You are a professional translator. Translate the following text from its original language to English. Use creative flair, adapting idioms and expressions to sound natural in English. Provide ONLY the English translation, do not include the original text. The output must be in English.',
-            technical: 'You are a professional translator. Translate the following text from its original language to English. Maintain technical accuracy and specialized terminology. Provide ONLY the English translation, do not include the original text. The output must be in English.'
+            formal: 'You are a professional translator. Translate the following text from {source} to {language}. Use a formal, professional tone. Maintain the original structure and formatting. Provide ONLY the {language} translation, do not include the original text. The output must be in {language}.',
+            conversational: 'You are a professional translator. Translate the following text from {source} to {language}. Use a natural, conversational tone that sounds friendly and approachable. Provide ONLY the {language} translation, do not include the original text. The output must be in {language}.',
+            academic: 'You are a professional translator. Translate the following text from {source} to {language}. Use an academic, scholarly tone with precise terminology and formal structure. Provide ONLY the {language} translation, do not include the original text. The output must be in {language}.',
+            creative: 'You are a professional translator. Translate the following text from {source} to {language}. Use creative flair, adapting idioms and expressions to sound natural in {language}. Provide ONLY the {language} translation, do not include the original text. The output must be in {language}.',
+            technical: 'You are a professional translator. Translate the following text from {source} to {language}. Maintain technical accuracy and specialized terminology. Provide ONLY the {language} translation, do not include the original text. The output must be in {language}.'
+        };
+
+        // Target languages: display name and locale for DOCX/EPUB language tags
+        this.targetLanguages = {
+            en: { name: 'English', locale: 'en-US' },
+            es: { name: 'Spanish', locale: 'es-ES' },
+            de: { name: 'German', locale: 'de-DE' },
+            fr: { name: 'French', locale: 'fr-FR' },
+            it: { name: 'Italian', locale: 'it-IT' },
+            pt: { name: 'Portuguese', locale: 'pt-BR' },
+            ja: { name: 'Japanese', locale: 'ja-JP' }
         };
 
         this.transformationPresets = {
@@ -41,21 +118,176 @@ class TranslationMachine {
             'passive-active': 'Convert the following text from passive voice to active voice where appropriate. Make the writing more direct, engaging, and clear while maintaining the original meaning.'
         };
         
-        console.log('Style presets loaded. Checking all contain "English":');
+        console.log('Style presets loaded. Checking all contain the {language} placeholder:');
         Object.keys(this.stylePresets).forEach(key => {
-            const hasEnglish = this.stylePresets[key].toLowerCase().includes('english');
-            console.log(`${key}: ${hasEnglish ? 'OK' : 'MISSING ENGLISH!'}`);
-            if (!hasEnglish) {
+            const hasPlaceholder = this.stylePresets[key].includes('{language}');
+            console.log(`${key}: ${hasPlaceholder ? 'OK' : 'MISSING {language}!'}`);
+            if (!hasPlaceholder) {
                 console.error(`Critical error in ${key} preset:`, this.stylePresets[key]);
             }
         });
 
+        this.ocrConfidenceThreshold = 60; // Tesseract mean word confidence, 0-100
+
+        this.docxMimeType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+        this.imageMimeTypes = ['image/png', 'image/jpeg', 'image/tiff', 'image/webp', 'image/bmp'];
+        this.subtitleMimeTypes = ['application/x-subrip', 'text/vtt'];
+        this.documentMimeTypes = ['text/plain', 'text/html', 'text/markdown', 'application/pdf', 'application/epub+zip', this.docxMimeType, ...this.subtitleMimeTypes];
+
+        // Cross-chunk context: how much of the previous passage to quote, and how often the running summary is refreshed
+        this.contextSettings = {
+            tailCharacters: 600,
+            summaryInterval: 4, // chunks
+            summaryTokens: 250
+        };
+        this.contextPromptSuffix = 'The user message may begin with a block between "REFERENCE CONTEXT" and "END OF REFERENCE CONTEXT". ' +
+            'It is background from earlier in the document. Use it only to keep names, terminology, pronouns and tone consistent and to complete sentences cut at the chunk boundary. ' +
+            'Never translate, repeat or mention that block; output only the processed text that follows it.';
+
+        // Document pre-analysis: a cheap model lists names, terms, register and setting into an editable style sheet
+        this.analysisSettings = {
+            sampleChunks: 8, // chunks spread across the document in sample mode
+            maxTokens: 800, // per analysed chunk
+            maxTokensLimit: 3200, // a truncated answer is asked again with twice the room, up to this
+            maxEntries: 40 // names and terms each, most frequent first
+        };
+        this.styleSheetPromptSuffix = 'Style sheet for this document, prepared before translation and reviewed by the user. ' +
+            'Keep names, terminology, register and setting consistent with it; it is reference only, never translate or repeat it:';
+
+        // Glossary projects (IndexedDB 'glossaries' store), keyed by name; the active one is applied to every chunk
+        this.glossaries = {};
+        this.activeGlossary = '';
+        this.glossaryPromptSuffix = 'The following terms are mandated by the client glossary. Wherever a source term occurs, ' +
+            'translate it exactly as given (adapting only grammatical endings the target language requires):';
+
+        // Translation memory ('memory' store): earlier chunk translations keyed by a hash of source, model, prompt and language
+        this.translationMemory = new Map();
+        this.memoryBigrams = new Map(); // fuzzy-match word pairs per memory key, built on first use
+        this.fuzzyMatches = new Map(); // best fuzzy match per language and chunk source; emptied whenever the memory changes
+        this.memoryUsage = null; // last cost-estimate scan of the document against the memory
+        this.memorySettings = {
+            fuzzyThreshold: 0.7 // Dice similarity of word pairs
+        };
+        this.memoryPromptSuffix = 'The user message may contain a block between "TRANSLATION MEMORY SUGGESTION" and "END OF SUGGESTION": ' +
+            'an approved translation of a similar earlier passage. Reuse its wording and terminology where the sources match, ' +
+            'translate whatever differs, and never copy parts that are not in the current text.';
+
+        // BPE token counts from tokenizer-worker.js, cached per encoding and text hash
+        // workerFailed: the worker itself could not start; failedEncodings: bundles that could not load, so others still count exactly
+        this.tokenizer = { worker: null, requests: new Map(), nextId: 0, workerFailed: false, failedEncodings: new Set() };
+        this.tokenCounts = new Map();
+        this.chatOverheadTokens = 11; // role and separator tokens around a system and a user message
+
+        // Retry policy per ApiError type. Backoff doubles from baseDelay up to maxDelay, with jitter;
+        // pauseJob stops the whole job because every other chunk would fail the same way
+        this.retryPolicies = {
+            rate_limit: { retries: 6, baseDelay: 2000, maxDelay: 60000 },
+            server: { retries: 4, baseDelay: 1000, maxDelay: 30000 },
+            timeout: { retries: 2, baseDelay: 2000, maxDelay: 10000 },
+            network: { pauseJob: true },
+            auth: { pauseJob: true },
+            context_length: { retries: 0 }, // translateChunk already split the chunk as far as it could
+            content_filter: { retries: 1, baseDelay: 1000, maxDelay: 1000 },
+            invalid_request: { retries: 0 },
+            output: { retries: 2, baseDelay: 1000, maxDelay: 4000 }
+        };
+
+        // Answers cut off at max_tokens are continued or the chunk is re-split into halves, this many levels deep
+        this.truncationSettings = {
+            maxContinuations: 2,
+            maxSplitDepth: 3
+        };
+        this.continuationPromptSuffix = 'Your previous answer was cut off before the end of the text. The user message holds the full source text ' +
+            'and the end of what you produced so far. Continue exactly where it stops, without repeating anything already produced, ' +
+            'and finish the rest of the text. Output only the continuation.';
+
+        this.subtitlePromptSuffix = 'The text is a numbered list of subtitle cues. Each cue starts with a marker like [1]. ' +
+            'Process every cue separately and return every marker exactly once, in the same order, followed by that cue\'s text. ' +
+            'Never merge, split, drop or reorder cues. Keep formatting tags such as <i> or {\\an8} and the line breaks inside a cue.';
+
+        this.epubPromptSuffix = 'The text is a numbered list of passages from an e-book. Each passage starts with a marker like [1]. ' +
+            'Process every passage separately and return every marker exactly once, in the same order, followed by that passage\'s text. ' +
+            'Never merge, split, drop or reorder passages. Numbered tags such as <1>...</1> or <2/> stand for formatting, links, note references and images: ' +
+            'keep each tag exactly once, around the translated words it belongs to, and do not add new ones.';
+
+        // Legacy text encodings tried when a TXT file is not valid UTF-8; earlier entries win ties
+        this.legacyEncodings = [
+            'windows-1252', 'iso-8859-15', 'windows-1250', 'iso-8859-2', 'windows-1251', 'koi8-r', 'iso-8859-5',
+            'iso-8859-7', 'windows-1254', 'shift_jis', 'euc-jp', 'gb18030', 'big5', 'euc-kr'
+        ];
+        this.multiByteEncodings = ['shift_jis', 'euc-jp', 'gb18030', 'big5', 'euc-kr'];
+        this.commonCharacters =
+            'éèàùâêîôûçëïüäöñáíóúãõßœæøåłąęśćżźńšžčřěůýőűğışţș' + // Latin
+            'оеаинтсрвлкмдпуяыьгзбчйхжшюцщэфъёіїєґ' + // Cyrillic
+            'αοιετσνηυρκμλπωδγχθφβξζψςάέήίόύώ' + // Greek
+            'のにはをたがでてとしいかなるれますっらもこうんだあ' + // Japanese kana
+            '이다는의에고하가을를지한서로기도사리자어수대나있요시으정아게보해인들니' + // Korean
+            '的一是不了人我在有他中大上来到说們们为為子和你地出道也时時年得就那要下以生会會自着去之过過家学學对對可她里後后小么心多天而能好都然没日于起还還发發成事只作当當想看文无無开開手十用主行方又如前所本见見经經头頭面公同三已老从從动動两兩长長知民样樣现現分将將外但身些与與高意进進把法此实實回二理美点點月明其种種声聲全工己话話儿者向情部正名定女问問力机機给給等几很业業最间間新什打便位因重被走电電四第门門相次东東'; // Chinese
+
+        this.wordNamespace = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+        // Language detection: languages with their own script are identified by script alone, the rest
+        // by comparing character trigram profiles built from the sample texts below
+        this.languageProfiles = {
+            en: { name: 'English', script: 'latin', sample: 'All human beings are born free and equal in dignity and rights. They are endowed with reason and conscience and should act towards one another in a spirit of brotherhood. Everyone has the right to life, liberty and security of person. The weather was warm that morning, and the children walked to school through the park while their parents went to work. We should have known that the meeting would take longer than they had planned, because there were too many questions about the new project and nobody wanted to make a decision.' },
+            es: { name: 'Spanish', script: 'latin', sample: 'Todos los seres humanos nacen libres e iguales en dignidad y derechos y, dotados como están de razón y conciencia, deben comportarse fraternalmente los unos con los otros. Toda persona tiene derecho a la vida, a la libertad y a la seguridad de su persona. El tiempo era cálido aquella mañana y los niños caminaban hacia la escuela por el parque mientras sus padres iban al trabajo. Deberíamos haber sabido que la reunión duraría más de lo previsto, porque había demasiadas preguntas sobre el nuevo proyecto y nadie quería tomar una decisión.' },
+            pt: { name: 'Portuguese', script: 'latin', sample: 'Todos os seres humanos nascem livres e iguais em dignidade e em direitos. Dotados de razão e de consciência, devem agir uns para com os outros em espírito de fraternidade. Todo indivíduo tem direito à vida, à liberdade e à segurança pessoal. O tempo estava quente naquela manhã e as crianças caminhavam para a escola pelo parque enquanto os pais iam para o trabalho. Devíamos ter sabido que a reunião ia demorar mais do que o previsto, porque havia muitas perguntas sobre o novo projeto e ninguém queria tomar uma decisão.' },
+            fr: { name: 'French', script: 'latin', sample: 'Tous les êtres humains naissent libres et égaux en dignité et en droits. Ils sont doués de raison et de conscience et doivent agir les uns envers les autres dans un esprit de fraternité. Tout individu a droit à la vie, à la liberté et à la sûreté de sa personne. Il faisait chaud ce matin-là et les enfants marchaient vers l\'école à travers le parc pendant que leurs parents allaient au travail. Nous aurions dû savoir que la réunion durerait plus longtemps que prévu, parce qu\'il y avait trop de questions sur le nouveau projet et que personne ne voulait prendre de décision.' },
+            de: { name: 'German', script: 'latin', sample: 'Alle Menschen sind frei und gleich an Würde und Rechten geboren. Sie sind mit Vernunft und Gewissen begabt und sollen einander im Geist der Brüderlichkeit begegnen. Jeder hat das Recht auf Leben, Freiheit und Sicherheit der Person. Das Wetter war an diesem Morgen warm, und die Kinder gingen durch den Park zur Schule, während ihre Eltern zur Arbeit fuhren. Wir hätten wissen sollen, dass die Besprechung länger dauern würde als geplant, weil es zu viele Fragen zu dem neuen Projekt gab und niemand eine Entscheidung treffen wollte.' },
+            it: { name: 'Italian', script: 'latin', sample: 'Tutti gli esseri umani nascono liberi ed eguali in dignità e diritti. Essi sono dotati di ragione e di coscienza e devono agire gli uni verso gli altri in spirito di fratellanza. Ogni individuo ha diritto alla vita, alla libertà ed alla sicurezza della propria persona. Quella mattina faceva caldo e i bambini andavano a scuola attraverso il parco mentre i loro genitori andavano al lavoro. Avremmo dovuto sapere che la riunione sarebbe durata più del previsto, perché c\'erano troppe domande sul nuovo progetto e nessuno voleva prendere una decisione.' },
+            nl: { name: 'Dutch', script: 'latin', sample: 'Alle mensen worden vrij en gelijk in waardigheid en rechten geboren. Zij zijn begiftigd met verstand en geweten, en behoren zich jegens elkander in een geest van broederschap te gedragen. Een ieder heeft het recht op leven, vrijheid en onschendbaarheid van zijn persoon. Het was warm die ochtend en de kinderen liepen door het park naar school terwijl hun ouders naar het werk gingen. We hadden moeten weten dat de vergadering langer zou duren dan gepland, omdat er te veel vragen waren over het nieuwe project en niemand een beslissing wilde nemen.' },
+            sv: { name: 'Swedish', script: 'latin', sample: 'Alla människor är födda fria och lika i värde och rättigheter. De är utrustade med förnuft och samvete och bör handla gentemot varandra i en anda av broderskap. Var och en har rätt till liv, frihet och personlig säkerhet. Det var varmt den morgonen och barnen gick genom parken till skolan medan deras föräldrar åkte till arbetet. Vi borde ha vetat att mötet skulle ta längre tid än planerat, eftersom det fanns för många frågor om det nya projektet och ingen ville fatta ett beslut.' },
+            pl: { name: 'Polish', script: 'latin', sample: 'Wszyscy ludzie rodzą się wolni i równi pod względem swej godności i swych praw. Są oni obdarzeni rozumem i sumieniem i powinni postępować wobec innych w duchu braterstwa. Każdy człowiek ma prawo do życia, wolności i bezpieczeństwa swojej osoby. Tego ranka było ciepło, a dzieci szły do szkoły przez park, podczas gdy ich rodzice jechali do pracy. Powinniśmy byli wiedzieć, że spotkanie potrwa dłużej, niż planowano, ponieważ było zbyt wiele pytań dotyczących nowego projektu i nikt nie chciał podjąć decyzji.' },
+            tr: { name: 'Turkish', script: 'latin', sample: 'Bütün insanlar hür, haysiyet ve haklar bakımından eşit doğarlar. Akıl ve vicdana sahiptirler ve birbirlerine karşı kardeşlik zihniyeti ile hareket etmelidirler. Yaşamak, hürriyet ve kişi emniyeti her ferdin hakkıdır. O sabah hava sıcaktı ve çocuklar parkın içinden okula yürürken anne ve babaları işe gidiyordu. Toplantının planlanandan daha uzun süreceğini bilmemiz gerekirdi, çünkü yeni proje hakkında çok fazla soru vardı ve kimse bir karar vermek istemiyordu.' },
+            ru: { name: 'Russian', script: 'cyrillic', sample: 'Все люди рождаются свободными и равными в своем достоинстве и правах. Они наделены разумом и совестью и должны поступать в отношении друг друга в духе братства. Каждый человек имеет право на жизнь, на свободу и на личную неприкосновенность. В то утро было тепло, и дети шли в школу через парк, пока их родители ехали на работу. Мы должны были знать, что встреча продлится дольше, чем планировалось, потому что было слишком много вопросов о новом проекте и никто не хотел принимать решение.' },
+            uk: { name: 'Ukrainian', script: 'cyrillic', sample: 'Всі люди народжуються вільними і рівними у своїй гідності та правах. Вони наділені розумом і совістю і повинні діяти у відношенні один до одного в дусі братерства. Кожна людина має право на життя, на свободу і на особисту недоторканність. Того ранку було тепло, і діти йшли до школи через парк, поки їхні батьки їхали на роботу. Ми мали знати, що зустріч триватиме довше, ніж планувалося, тому що було забагато питань щодо нового проєкту і ніхто не хотів ухвалювати рішення.' },
+            el: { name: 'Greek', script: 'greek' },
+            ar: { name: 'Arabic', script: 'arabic' },
+            he: { name: 'Hebrew', script: 'hebrew' },
+            hi: { name: 'Hindi', script: 'devanagari' },
+            th: { name: 'Thai', script: 'thai' },
+            ja: { name: 'Japanese', script: 'kana' },
+            ko: { name: 'Korean', script: 'hangul' },
+            zh: { name: 'Chinese', script: 'han' }
+        };
+        this.scriptPatterns = {
+            latin: /[a-z\u00c0-\u024f]/gi,
+            cyrillic: /[\u0400-\u04ff]/g,
+            greek: /[\u0370-\u03ff]/g,
+            arabic: /[\u0600-\u06ff\u0750-\u077f]/g,
+            hebrew: /[\u0590-\u05ff]/g,
+            devanagari: /[\u0900-\u097f]/g,
+            thai: /[\u0e00-\u0e7f]/g,
+            kana: /[\u3040-\u30ff]/g,
+            hangul: /[\uac00-\ud7af\u1100-\u11ff]/g,
+            han: /[\u4e00-\u9fff\u3400-\u4dbf]/g
+        };
+        this.trigramProfiles = null; // built from the samples on first use
+
+        this.lastStreamRender = 0;
+
+        // Token buckets for requests and tokens, filled from the x-ratelimit-* response headers.
+        // Until the first response arrives nothing is known, so only the concurrency setting applies.
+        this.rateLimiter = {
+            requests: { limit: null, available: null, refillPerMs: 0, updatedAt: 0 },
+            tokens: { limit: null, available: null, refillPerMs: 0, updatedAt: 0 },
+            blockedUntil: 0
+        };
+
+        this.batchQueue = {
+            jobs: [],
+            isRunning: false,
+            activeJob: null
+        };
+
         this.db = null;
         this.init();
     }
 
     async init() {
         await this.initDatabase();
+        await this.loadGlossaries();
+        await this.loadTranslationMemory();
         this.loadSettings();
         this.setupEventListeners();
         this.setupDragAndDrop();
@@ -66,7 +298,7 @@ class TranslationMachine {
 
     async initDatabase() {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open('TranslationMachine', 1);
+            const request = indexedDB.open('TranslationMachine', 3);
             
             request.onerror = () => {
                 console.warn('IndexedDB not available, persistence disabled');
@@ -86,6 +318,16 @@ class TranslationMachine {
                     const sessionStore = db.createObjectStore('sessions', { keyPath: 'id' });
                     sessionStore.createIndex('timestamp', 'timestamp', { unique: false });
                 }
+                
+                // Create glossaries store (added in version 2)
+                if (!db.objectStoreNames.contains('glossaries')) {
+                    db.createObjectStore('glossaries', { keyPath: 'name' });
+                }
+                
+                // Create translation memory store (added in version 3)
+                if (!db.objectStoreNames.contains('memory')) {
+                    db.createObjectStore('memory', { keyPath: 'key' });
+                }
             };
         });
     }
@@ -106,6 +348,14 @@ class TranslationMachine {
                 results: this.translationState.results,
                 tokensUsed: this.translationState.tokensUsed,
                 costSoFar: this.translationState.costSoFar,
+                context: this.translationState.context,
+                glossaryViolations: this.translationState.glossaryViolations,
+                repairedChunks: this.translationState.repairedChunks,
+                memoryHits: this.translationState.memoryHits,
+                memorySaved: this.translationState.memorySaved,
+                estimate: this.translationState.estimate,
+                tokenAccuracy: this.translationState.tokenAccuracy,
+                spend: this.translationState.spend,
                 isRunning: this.translationState.isRunning,
                 isPaused: this.translationState.isPaused
             }
@@ -186,16 +436,11 @@ class TranslationMachine {
         // Restore UI state
         this.showFileInfo(this.currentFile);
         this.showConfigSection();
+        this.detectSourceLanguage();
         
         // Restore configuration
         if (session.config) {
-            document.getElementById('modelSelect').value = session.config.model || 'gpt-4o-mini';
-            document.getElementById('translationMode').value = session.config.mode || 'translate';
-            document.getElementById('styleSelect').value = session.config.style || 'formal';
-            document.getElementById('transformationType').value = session.config.transformationType || 'shakespearean-modern';
-            document.getElementById('systemPrompt').value = session.config.systemPrompt || '';
-            this.handleModeChange(); // Update UI based on mode
-            this.updateSystemPrompt();
+            this.applyConfig(session.config);
         }
         
         // Restore translation state
@@ -208,6 +453,14 @@ class TranslationMachine {
             results: session.state.results || [],
             tokensUsed: session.state.tokensUsed || 0,
             costSoFar: session.state.costSoFar || 0,
+            context: session.state.context || { summary: '', summarizedThrough: -1 },
+            glossaryViolations: session.state.glossaryViolations || {},
+            repairedChunks: session.state.repairedChunks || {},
+            memoryHits: session.state.memoryHits || 0,
+            memorySaved: session.state.memorySaved || 0,
+            estimate: session.state.estimate || null,
+            tokenAccuracy: session.state.tokenAccuracy || { estimatedPrompt: 0, actualPrompt: 0, requests: 0 },
+            spend: session.state.spend || { sourceTokens: 0, warned: false },
             isRunning: false,
             isPaused: false
         };
@@ -286,6 +539,11 @@ class TranslationMachine {
         // Clear application state
         this.currentFile = null;
         this.currentText = '';
+        this.epubStructure = null;
+        this.subtitleStructure = null;
+        this.textFileBuffer = null;
+        this.textFileType = 'text/plain';
+        this.pastedContent = null;
         this.translationState = {
             isRunning: false,
             isPaused: false,
@@ -295,9 +553,16 @@ class TranslationMachine {
             tokensUsed: 0,
             costSoFar: 0,
             sessionId: null,
-            config: null
+            config: null,
+            glossaryViolations: {},
+            repairedChunks: {},
+            memoryHits: 0,
+            memorySaved: 0,
+            spend: { sourceTokens: 0, warned: false }
         };
 
+        this.batchQueue = { jobs: [], isRunning: false, activeJob: null };
+
         // Clear UI state
         this.resetUI();
         
@@ -317,6 +582,11 @@ class TranslationMachine {
         
         // Hide OCR progress
         this.hideOcrProgress();
+        this.hideOcrConfidence();
+        this.hideEncodingInfo();
+        
+        // Hide batch queue
+        this.renderBatchQueue();
         
         // Reset cost estimates
         document.getElementById('estimatedTokens').textContent = '-';
@@ -324,6 +594,7 @@ class TranslationMachine {
         
         // Reset system prompt to default
         this.updateSystemPrompt();
+        this.resetStyleSheet();
         
         console.log('UI reset to initial state');
     }
@@ -345,15 +616,41 @@ class TranslationMachine {
         const saved = localStorage.getItem('translation-machine-settings');
         if (saved) {
             const settings = JSON.parse(saved);
-            this.apiKey = settings.apiKey || '';
+            this.provider = this.providers[settings.provider] ? settings.provider : 'openai';
+            this.providerSettings = settings.providerSettings || {};
+            // Settings from before providers existed only held an OpenAI key
+            if (settings.apiKey && !this.providerSettings.openai) {
+                this.providerSettings.openai = { apiKey: settings.apiKey };
+            }
+            this.modelRegistry = settings.modelRegistry || {};
+            this.migrateCustomModels();
+            this.ocrLanguages = settings.ocrLanguages || ['eng'];
+            this.targetLanguage = this.targetLanguages[settings.targetLanguage] ? settings.targetLanguage : 'en';
+            this.activeGlossary = this.glossaries[settings.glossary] ? settings.glossary : '';
             document.getElementById('chunkSize').value = settings.chunkSize || '1500';
+            document.getElementById('concurrency').value = settings.concurrency || '4';
+            document.getElementById('budgetCap').value = settings.budgetCap || '';
+            document.getElementById('budgetWarning').value = settings.budgetWarning || '';
         }
+        document.getElementById('targetLanguage').value = this.targetLanguage;
+        document.getElementById('glossarySelect').value = this.activeGlossary;
+        this.populateModelSelect();
+        this.updateSettingsButton();
+        this.setOcrLanguageSelection(this.ocrLanguages);
     }
 
     saveSettings() {
         const settings = {
-            apiKey: this.apiKey,
-            chunkSize: document.getElementById('chunkSize').value
+            provider: this.provider,
+            providerSettings: this.providerSettings,
+            modelRegistry: this.modelRegistry,
+            chunkSize: document.getElementById('chunkSize').value,
+            concurrency: document.getElementById('concurrency').value,
+            ocrLanguages: this.ocrLanguages,
+            targetLanguage: this.targetLanguage,
+            glossary: this.activeGlossary,
+            budgetCap: document.getElementById('budgetCap').value,
+            budgetWarning: document.getElementById('budgetWarning').value
         };
         localStorage.setItem('translation-machine-settings', JSON.stringify(settings));
     }
@@ -365,6 +662,35 @@ class TranslationMachine {
         document.getElementById('cancelSettingsBtn').addEventListener('click', this.closeSettings.bind(this));
         document.getElementById('saveSettingsBtn').addEventListener('click', this.saveSettingsModal.bind(this));
         document.getElementById('toggleApiKey').addEventListener('click', this.toggleApiKeyVisibility.bind(this));
+        document.getElementById('providerSelect').addEventListener('change', this.handleProviderSelectChange.bind(this));
+        document.getElementById('clearMemoryBtn').addEventListener('click', this.clearTranslationMemory.bind(this));
+
+        // Model registry (inside the settings modal)
+        document.getElementById('modelRegistryEntries').addEventListener('click', this.handleModelRegistryClick.bind(this));
+        document.getElementById('addModelBtn').addEventListener('click', this.addModelRegistryEntry.bind(this));
+        document.getElementById('resetModelsBtn').addEventListener('click', this.resetModelRegistry.bind(this));
+        document.getElementById('exportModelsBtn').addEventListener('click', this.exportModelRegistry.bind(this));
+        document.getElementById('importModelsBtn').addEventListener('click', () => document.getElementById('modelsFileInput').click());
+        document.getElementById('modelsFileInput').addEventListener('change', this.handleModelRegistryImport.bind(this));
+
+        // Glossary manager
+        document.getElementById('glossarySelect').addEventListener('change', this.handleGlossaryChange.bind(this));
+        document.getElementById('manageGlossaryBtn').addEventListener('click', this.openGlossaryManager.bind(this));
+        document.getElementById('closeGlossaryBtn').addEventListener('click', this.closeGlossaryManager.bind(this));
+        document.getElementById('cancelGlossaryBtn').addEventListener('click', this.closeGlossaryManager.bind(this));
+        document.getElementById('saveGlossaryBtn').addEventListener('click', this.saveGlossaryManager.bind(this));
+        document.getElementById('glossaryProjectSelect').addEventListener('change', this.handleGlossaryProjectChange.bind(this));
+        document.getElementById('newGlossaryBtn').addEventListener('click', () => this.createGlossary());
+        document.getElementById('deleteGlossaryBtn').addEventListener('click', this.deleteGlossary.bind(this));
+        document.getElementById('addGlossaryEntryBtn').addEventListener('click', this.addGlossaryEntry.bind(this));
+        document.getElementById('glossaryEntries').addEventListener('click', this.handleGlossaryEntriesClick.bind(this));
+        document.getElementById('importGlossaryBtn').addEventListener('click', () => document.getElementById('glossaryFileInput').click());
+        document.getElementById('glossaryFileInput').addEventListener('change', this.handleGlossaryImport.bind(this));
+        document.getElementById('exportGlossaryCsvBtn').addEventListener('click', () => this.exportGlossary('csv'));
+        document.getElementById('exportGlossaryTbxBtn').addEventListener('click', () => this.exportGlossary('tbx'));
+
+        // Resume jobs that paused because the connection dropped
+        window.addEventListener('online', this.handleConnectionRestored.bind(this));
 
         // New translation button
         document.getElementById('newTranslationBtn').addEventListener('click', this.startNewTranslation.bind(this));
@@ -372,15 +698,38 @@ class TranslationMachine {
         // File upload
         document.getElementById('fileInput').addEventListener('change', this.handleFileSelect.bind(this));
         document.getElementById('removeFile').addEventListener('click', this.removeFile.bind(this));
+        document.getElementById('encodingSelect').addEventListener('change', this.handleEncodingChange.bind(this));
+
+        // Paste text
+        document.getElementById('pasteTextBtn').addEventListener('click', this.togglePasteArea.bind(this));
+        document.getElementById('pasteInput').addEventListener('paste', this.handlePaste.bind(this));
+        document.getElementById('usePastedTextBtn').addEventListener('click', this.usePastedText.bind(this));
+        document.getElementById('cancelPasteBtn').addEventListener('click', this.togglePasteArea.bind(this));
 
         // Configuration
         document.getElementById('modelSelect').addEventListener('change', this.updateCostEstimate.bind(this));
+
+        // Document style sheet
+        document.getElementById('analyzeBtn').addEventListener('click', this.analyzeDocument.bind(this));
+        document.getElementById('styleSheet').addEventListener('change', this.updateCostEstimate.bind(this));
         document.getElementById('translationMode').addEventListener('change', this.handleModeChange.bind(this));
+        document.getElementById('targetLanguage').addEventListener('change', this.handleTargetLanguageChange.bind(this));
+        document.getElementById('sourceLanguage').addEventListener('change', this.handleSourceLanguageChange.bind(this));
         document.getElementById('transformationType').addEventListener('change', this.updateSystemPrompt.bind(this));
         document.getElementById('styleSelect').addEventListener('change', this.updateSystemPrompt.bind(this));
+        document.getElementById('contextMode').addEventListener('change', this.updateCostEstimate.bind(this));
+        document.getElementById('memoryMode').addEventListener('change', this.updateCostEstimate.bind(this));
+        document.getElementById('budgetCap').addEventListener('change', this.handleBudgetChange.bind(this));
+        document.getElementById('budgetWarning').addEventListener('change', this.handleBudgetChange.bind(this));
         document.getElementById('systemPrompt').addEventListener('input', this.debounce(this.updateCostEstimate.bind(this), 500));
         document.getElementById('debugPromptBtn').addEventListener('click', this.debugSystemPrompt.bind(this));
 
+        // Batch queue
+        document.getElementById('batchList').addEventListener('click', this.handleBatchListClick.bind(this));
+        document.getElementById('runQueueBtn').addEventListener('click', this.runBatchQueue.bind(this));
+        document.getElementById('downloadAllBtn').addEventListener('click', this.downloadAllOutputs.bind(this));
+        document.getElementById('clearQueueBtn').addEventListener('click', this.clearBatchQueue.bind(this));
+
         // Translation controls
         document.getElementById('translateBtn').addEventListener('click', this.startTranslation.bind(this));
         document.getElementById('pauseBtn').addEventListener('click', this.pauseTranslation.bind(this));
@@ -390,6 +739,8 @@ class TranslationMachine {
         // Export
         document.getElementById('exportTxtBtn').addEventListener('click', this.exportTxt.bind(this));
         document.getElementById('exportDocxBtn').addEventListener('click', this.exportDocx.bind(this));
+        document.getElementById('exportEpubBtn').addEventListener('click', this.exportEpub.bind(this));
+        document.getElementById('exportSubtitlesBtn').addEventListener('click', this.exportSubtitles.bind(this));
 
         // Modal backdrop
         document.getElementById('settingsModal').addEventListener('click', (e) => {
@@ -427,35 +778,324 @@ class TranslationMachine {
         const files = dt.files;
         
         if (files.length > 0) {
-            this.processFile(files[0]);
+            this.processFiles(Array.from(files));
         }
     }
 
     handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (file) {
-            this.processFile(file);
+        const files = Array.from(e.target.files);
+        if (files.length > 0) {
+            this.processFiles(files);
+        }
+    }
+
+    processFiles(files) {
+        // Several images dropped together are the pages of one document
+        if (files.length > 1 && files.every(file => this.isImageFile(file))) {
+            const pages = [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+            return this.processFile(pages[0], pages);
+        }
+        
+        // Several documents, or more files while a queue exists, go to the batch queue
+        if (files.length > 1 || this.batchQueue.jobs.length > 0) {
+            return this.addToBatchQueue(files);
+        }
+        
+        return this.processFile(files[0]);
+    }
+
+    addToBatchQueue(files) {
+        const maxSize = 50 * 1024 * 1024; // 50MB
+        const allowedTypes = [...this.documentMimeTypes, ...this.imageMimeTypes];
+        const rejected = [];
+        
+        // A single document that is already loaded becomes the first job
+        if (this.batchQueue.jobs.length === 0 && this.currentFile instanceof Blob && !this.translationState.isRunning) {
+            files = [this.currentFile, ...files];
+        }
+        
+        for (const file of files) {
+            const supported = allowedTypes.includes(file.type) || allowedTypes.includes(this.getFileTypeFromName(file.name));
+            if (!supported || file.size > maxSize) {
+                rejected.push(file.name);
+                continue;
+            }
+            
+            this.batchQueue.jobs.push({
+                id: 'job_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                file,
+                status: 'queued',
+                progress: 0,
+                tokensUsed: 0,
+                cost: 0,
+                config: null, // null = use the shared configuration
+                output: null,
+                outputName: null,
+                epubBlob: null,
+                subtitleOutput: null,
+                error: ''
+            });
+        }
+        
+        if (rejected.length > 0) {
+            alert(`These files were not added (unsupported type or larger than 50MB):\n\n${rejected.join('\n')}`);
+        }
+        
+        if (this.batchQueue.jobs.length === 0) return;
+        
+        // The queue replaces the single-document view
+        if (!this.translationState.isRunning) {
+            this.currentFile = null;
+            this.currentText = '';
+            this.epubStructure = null;
+            this.subtitleStructure = null;
+            document.getElementById('fileInfo').style.display = 'none';
+        }
+        document.getElementById('fileInput').value = '';
+        document.getElementById('uploadArea').style.display = 'block';
+        this.showConfigSection();
+        this.showNewTranslationButton();
+        this.renderBatchQueue();
+    }
+
+    renderBatchQueue() {
+        const queue = this.batchQueue;
+        const container = document.getElementById('batchQueue');
+        const hasJobs = queue.jobs.length > 0;
+        
+        container.style.display = hasJobs ? 'block' : 'none';
+        document.getElementById('translateBtn').style.display = hasJobs ? 'none' : '';
+        if (!hasJobs) return;
+        
+        const statusLabels = {
+            queued: 'Queued',
+            extracting: 'Reading file...',
+            translating: 'Translating',
+            done: 'Done',
+            stopped: 'Stopped',
+            error: 'Error'
+        };
+        
+        document.getElementById('batchList').innerHTML = queue.jobs.map(job => {
+            const settings = job.config
+                ? `Own settings: ${this.escapeHtml(job.config.model)} · ${this.escapeHtml(job.config.mode === 'transform' ? job.config.transformationType : job.config.style)}`
+                : 'Shared settings';
+            const status = job.status === 'error' ? `Error: ${this.escapeHtml(job.error)}` : statusLabels[job.status];
+            const locked = queue.isRunning && job.status !== 'queued';
+            
+            return `
+                <li class="batch-job batch-job-${job.status}" data-id="${job.id}">
+                    <div class="batch-job-meta">
+                        <div class="file-name">${this.escapeHtml(job.file.name)}</div>
+                        <div class="file-size">${status} · ${job.progress}% · $${job.cost.toFixed(4)} · ${settings}</div>
+                        <div class="batch-job-progress"><div class="progress-fill" style="width: ${job.progress}%"></div></div>
+                    </div>
+                    <div class="batch-job-actions">
+                        ${job.config
+                            ? `<button class="btn-icon" data-action="reset" title="Use shared settings" ${locked ? 'disabled' : ''}><i class="fas fa-undo"></i></button>`
+                            : `<button class="btn-icon" data-action="override" title="Use the current settings for this file only" ${locked ? 'disabled' : ''}><i class="fas fa-sliders-h"></i></button>`}
+                        <button class="btn-icon" data-action="remove" title="Remove from queue" ${locked ? 'disabled' : ''}><i class="fas fa-times"></i></button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+        
+        const done = queue.jobs.filter(job => job.status === 'done').length;
+        const totalCost = queue.jobs.reduce((sum, job) => sum + job.cost, 0);
+        document.getElementById('batchSummary').textContent =
+            `${done} / ${queue.jobs.length} files done · $${totalCost.toFixed(4)}`;
+        document.getElementById('runQueueBtn').disabled = queue.isRunning;
+        document.getElementById('downloadAllBtn').disabled = done === 0;
+        document.getElementById('clearQueueBtn').disabled = queue.isRunning;
+    }
+
+    handleBatchListClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button || button.disabled) return;
+        
+        const jobId = button.closest('.batch-job').dataset.id;
+        const job = this.batchQueue.jobs.find(item => item.id === jobId);
+        if (!job) return;
+        
+        switch (button.dataset.action) {
+            case 'override':
+                job.config = this.getCurrentConfig();
+                break;
+            case 'reset':
+                job.config = null;
+                break;
+            case 'remove':
+                this.batchQueue.jobs = this.batchQueue.jobs.filter(item => item !== job);
+                break;
+        }
+        
+        this.renderBatchQueue();
+        if (this.batchQueue.jobs.length === 0) {
+            this.clearBatchQueue();
+        }
+    }
+
+    async runBatchQueue() {
+        if (!this.checkProviderSettings()) return;
+        
+        const queue = this.batchQueue;
+        const sharedConfig = this.getCurrentConfig();
+        queue.isRunning = true;
+        this.renderBatchQueue();
+        
+        // Files can be added or removed while the queue runs, so pick the next job each time
+        const attempted = new Set();
+        while (queue.isRunning) {
+            const job = queue.jobs.find(item => item.status !== 'done' && !attempted.has(item));
+            if (!job) break;
+            
+            attempted.add(job);
+            queue.activeJob = job;
+            job.error = '';
+            
+            try {
+                job.status = 'extracting';
+                this.renderBatchQueue();
+                
+                this.currentFile = job.file;
+                this.epubStructure = null;
+                this.subtitleStructure = null;
+                this.hideOcrConfidence();
+                this.showFileInfo(job.file); // Shows OCR progress for scanned files
+                this.currentText = await this.extractText(job.file);
+                this.detectSourceLanguage();
+                
+                // Each job runs through the normal pipeline, which reads its settings from the form
+                this.applyConfig(job.config || sharedConfig);
+                this.resetStyleSheet(); // A style sheet describes one document, so batch files run without one
+                job.status = 'translating';
+                this.renderBatchQueue();
+                
+                await this.startTranslation();
+                
+                const state = this.translationState;
+                job.tokensUsed = state.tokensUsed;
+                job.cost = state.costSoFar;
+                
+                if (state.chunks.length > 0 && state.currentChunk >= state.chunks.length) {
+                    job.output = this.getTranslatedText();
+                    job.outputName = this.getExportFilename('txt');
+                    if (this.epubStructure) {
+                        try {
+                            job.epubBlob = await this.buildTranslatedEpub();
+                        } catch (error) {
+                            console.warn(`EPUB export failed for ${job.file.name}:`, error);
+                        }
+                    }
+                    if (this.subtitleStructure) {
+                        job.subtitleOutput = this.buildTranslatedSubtitles();
+                    }
+                    job.progress = 100;
+                    job.status = 'done';
+                } else {
+                    // Stopped by the user - halt the queue so the remaining files are not charged
+                    job.status = 'stopped';
+                    queue.isRunning = false;
+                }
+            } catch (error) {
+                console.error(`Batch job failed for ${job.file.name}:`, error);
+                job.status = 'error';
+                job.error = error.message;
+            }
+            
+            this.renderBatchQueue();
+        }
+        
+        queue.activeJob = null;
+        queue.isRunning = false;
+        this.applyConfig(sharedConfig);
+        document.getElementById('fileInfo').style.display = 'none';
+        document.getElementById('uploadArea').style.display = 'block';
+        this.renderBatchQueue();
+    }
+
+    updateBatchJobProgress() {
+        const job = this.batchQueue.activeJob;
+        if (!job || job.status !== 'translating') return;
+        
+        const state = this.translationState;
+        job.progress = state.chunks.length > 0 ? Math.round((state.currentChunk / state.chunks.length) * 100) : 0;
+        job.tokensUsed = state.tokensUsed;
+        job.cost = state.costSoFar;
+        this.renderBatchQueue();
+    }
+
+    async downloadAllOutputs() {
+        const finished = this.batchQueue.jobs.filter(job => job.status === 'done');
+        if (finished.length === 0) {
+            alert('No finished translations to download');
+            return;
+        }
+        
+        const zip = new JSZip();
+        const usedNames = new Set();
+        const uniqueName = (name) => {
+            let candidate = name;
+            for (let i = 2; usedNames.has(candidate); i++) {
+                candidate = name.replace(/(\.[^.]+)$/, `-${i}$1`);
+            }
+            usedNames.add(candidate);
+            return candidate;
+        };
+        
+        for (const job of finished) {
+            zip.file(uniqueName(job.outputName), job.output);
+            if (job.epubBlob) {
+                zip.file(uniqueName(job.outputName.replace(/\.txt$/, '.epub')), job.epubBlob);
+            }
+            if (job.subtitleOutput) {
+                zip.file(uniqueName(job.outputName.replace(/\.txt$/, `.${job.file.name.split('.').pop().toLowerCase()}`)), job.subtitleOutput);
+            }
+        }
+        
+        const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        this.downloadBlob(blob, 'translations.zip');
+    }
+
+    clearBatchQueue() {
+        if (this.batchQueue.isRunning) return;
+        
+        this.batchQueue = { jobs: [], isRunning: false, activeJob: null };
+        this.renderBatchQueue();
+        if (!this.currentFile) {
+            document.getElementById('configSection').style.display = 'none';
         }
     }
 
-    async processFile(file) {
+    isImageFile(file) {
+        return this.imageMimeTypes.includes(file.type) || this.imageMimeTypes.includes(this.getFileTypeFromName(file.name));
+    }
+
+    async processFile(file, imagePages = null) {
         const maxSize = 50 * 1024 * 1024; // 50MB
-        if (file.size > maxSize) {
+        const totalSize = imagePages ? imagePages.reduce((sum, page) => sum + page.size, 0) : file.size;
+        if (totalSize > maxSize) {
             alert('File size must be less than 50MB');
             return;
         }
 
-        const allowedTypes = ['text/plain', 'application/pdf', 'application/epub+zip'];
-        if (!allowedTypes.includes(file.type) && !file.name.toLowerCase().endsWith('.epub')) {
-            alert('Please select a TXT, PDF, or EPUB file');
+        const allowedTypes = [...this.documentMimeTypes, ...this.imageMimeTypes];
+        if (!allowedTypes.includes(file.type) && !allowedTypes.includes(this.getFileTypeFromName(file.name))) {
+            alert('Please select a TXT, PDF, EPUB, DOCX, HTML, Markdown, SRT, or VTT file, or scanned images (PNG, JPEG, TIFF)');
             return;
         }
 
-        this.currentFile = file;
-        this.showFileInfo(file);
+        this.currentFile = imagePages ? { name: file.name, size: totalSize, pageCount: imagePages.length } : file;
+        this.epubStructure = null;
+        this.subtitleStructure = null;
+        this.hideOcrConfidence();
+        this.hideEncodingInfo();
+        this.showFileInfo(this.currentFile);
         
         try {
-            this.currentText = await this.extractText(file);
+            this.currentText = imagePages ? await this.extractImageText(imagePages) : await this.extractText(file);
+            this.detectSourceLanguage();
+            this.resetStyleSheet();
             this.updateCostEstimate();
             this.showConfigSection();
         } catch (error) {
@@ -476,15 +1116,28 @@ class TranslationMachine {
     }
 
     async extractText(file) {
-        const type = file.type || this.getFileTypeFromName(file.name);
+        // Browsers report an empty or generic type for some formats, so fall back to the extension
+        const type = this.getFileTypeFromName(file.name) || file.type;
         
         switch (type) {
             case 'text/plain':
-                return await file.text();
+            case 'text/html':
+            case 'text/markdown':
+            case 'application/x-subrip':
+            case 'text/vtt':
+                return await this.extractPlainText(file, type);
             case 'application/pdf':
                 return await this.extractPdfText(file);
             case 'application/epub+zip':
                 return await this.extractEpubText(file);
+            case this.docxMimeType:
+                return await this.extractDocxText(file);
+            case 'image/png':
+            case 'image/jpeg':
+            case 'image/tiff':
+            case 'image/webp':
+            case 'image/bmp':
+                return await this.extractImageText([file]);
             default:
                 throw new Error('Unsupported file type');
         }
@@ -494,12 +1147,342 @@ class TranslationMachine {
         const ext = filename.toLowerCase().split('.').pop();
         switch (ext) {
             case 'txt': return 'text/plain';
+            case 'html':
+            case 'htm':
+            case 'xhtml': return 'text/html';
+            case 'md':
+            case 'markdown': return 'text/markdown';
+            case 'srt': return 'application/x-subrip';
+            case 'vtt': return 'text/vtt';
             case 'pdf': return 'application/pdf';
             case 'epub': return 'application/epub+zip';
+            case 'docx': return this.docxMimeType;
+            case 'png': return 'image/png';
+            case 'jpg':
+            case 'jpeg': return 'image/jpeg';
+            case 'tif':
+            case 'tiff': return 'image/tiff';
+            case 'webp': return 'image/webp';
+            case 'bmp': return 'image/bmp';
             default: return '';
         }
     }
 
+    async extractPlainText(file, type = 'text/plain') {
+        const buffer = await file.arrayBuffer();
+        const encoding = this.detectTextEncoding(new Uint8Array(buffer));
+        console.log('Detected text encoding:', encoding);
+        
+        // Keep the raw bytes so the user can re-decode with another encoding
+        this.textFileBuffer = buffer;
+        this.textFileType = type;
+        const text = this.convertMarkupText(this.decodeTextBuffer(buffer, encoding), type);
+        this.showEncodingInfo(encoding, text);
+        return text;
+    }
+
+    convertMarkupText(text, type) {
+        switch (type) {
+            case 'text/html':
+                return this.extractTextFromHtml(text);
+            case 'text/markdown':
+                return this.extractTextFromMarkdown(text);
+            case 'application/x-subrip':
+            case 'text/vtt':
+                return this.parseSubtitles(text, type === 'text/vtt' ? 'vtt' : 'srt');
+            default:
+                return text;
+        }
+    }
+
+    parseSubtitles(text, format) {
+        // Cues keep their id and timing line untouched; only the cue text is translated
+        const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim().split(/\n[ \t]*\n+/);
+        const entries = [];
+        
+        for (const block of blocks) {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            
+            // Headers, NOTE, STYLE and REGION blocks are copied to the output as they are
+            if (timingIndex === -1 || timingIndex > 1) {
+                entries.push({ type: 'raw', text: block });
+                continue;
+            }
+            
+            entries.push({
+                type: 'cue',
+                id: timingIndex === 1 ? lines[0].trim() : '',
+                timing: lines[timingIndex].trim(),
+                text: lines.slice(timingIndex + 1).join('\n').trim(),
+                translation: null
+            });
+        }
+        
+        const cues = entries.filter(entry => entry.type === 'cue');
+        if (cues.length === 0) {
+            throw new Error(`No subtitle cues found in this ${format.toUpperCase()} file.`);
+        }
+        
+        this.subtitleStructure = { format, entries, cues, chunkCues: [] };
+        console.log(`Parsed ${cues.length} ${format.toUpperCase()} cues`);
+        
+        return cues.map(cue => cue.text).filter(cueText => cueText).join('\n\n');
+    }
+
+    buildEpubChunks(maxTokens) {
+        // Like subtitle cues, each text block gets a [n] marker so its translation maps back to its own element.
+        // Chunks never span two documents; the chapter title marker (block -1) is translated but not written back.
+        const maxBlocksPerChunk = 40;
+        const chunks = [];
+        const chunkBlocks = [];
+        
+        this.epubStructure.sections.forEach((section, sectionIndex) => {
+            const items = section.markup.map((text, block) => ({ section: sectionIndex, block, text }));
+            if (section.hasTitleMarker) {
+                items.unshift({ section: sectionIndex, block: -1, text: section.title });
+            }
+            
+            let current = [];
+            let currentTokens = 0;
+            const flush = () => {
+                if (current.length === 0) return;
+                chunks.push(current.map((item, n) => `[${n + 1}] ${item.text}`).join('\n'));
+                chunkBlocks.push(current.map(({ section, block }) => ({ section, block })));
+                current = [];
+                currentTokens = 0;
+            };
+            
+            items.forEach(item => {
+                const itemTokens = this.estimateTokens(item.text) + 3;
+                if (current.length >= maxBlocksPerChunk || (currentTokens + itemTokens > maxTokens && current.length > 0)) {
+                    flush();
+                }
+                current.push(item);
+                currentTokens += itemTokens;
+            });
+            flush();
+        });
+        
+        return { chunks, layout: { chunkBlocks } };
+    }
+
+    buildSubtitleChunks(maxTokens) {
+        // Several cues per request, each prefixed with a [n] marker so translations map back one-to-one
+        const structure = this.subtitleStructure;
+        const maxCuesPerChunk = 40;
+        const chunks = [];
+        const chunkCues = [];
+        
+        let current = [];
+        let currentTokens = 0;
+        const flush = () => {
+            if (current.length === 0) return;
+            chunks.push(current.map((cueIndex, n) => `[${n + 1}] ${structure.cues[cueIndex].text}`).join('\n'));
+            chunkCues.push(current);
+            current = [];
+            currentTokens = 0;
+        };
+        
+        structure.cues.forEach((cue, cueIndex) => {
+            if (!cue.text) return;
+            
+            const cueTokens = this.estimateTokens(cue.text) + 3;
+            if (current.length >= maxCuesPerChunk || (currentTokens + cueTokens > maxTokens && current.length > 0)) {
+                flush();
+            }
+            current.push(cueIndex);
+            currentTokens += cueTokens;
+        });
+        flush();
+        
+        return { chunks, layout: { chunkCues } };
+    }
+
+    parseMarkedChunkResult(text, expectedCount) {
+        // Returns the translated cue texts in order, or null when the markers do not line up
+        const cues = [];
+        const markerPattern = /^\s*\[(\d+)\]\s?/;
+        let current = null;
+        
+        for (const line of text.split('\n')) {
+            const match = line.match(markerPattern);
+            if (match) {
+                current = { number: Number(match[1]), lines: [line.replace(markerPattern, '')] };
+                cues.push(current);
+            } else if (current && line.trim()) {
+                current.lines.push(line);
+            }
+        }
+        
+        if (cues.length !== expectedCount || cues.some((cue, index) => cue.number !== index + 1)) {
+            return null;
+        }
+        return cues.map(cue => cue.lines.join('\n').trim());
+    }
+
+    validateChunkResult(index, text) {
+        // A subtitle or EPUB batch that lost or merged cues or blocks cannot be mapped back; let the retry logic try again
+        if (this.subtitleStructure) {
+            const expected = this.subtitleStructure.chunkCues[index].length;
+            if (!this.parseMarkedChunkResult(text, expected)) {
+                throw new Error(`Subtitle cue mismatch in chunk ${index + 1}: expected ${expected} numbered cues`);
+            }
+        } else if (this.epubStructure) {
+            const expected = this.epubStructure.chunkBlocks[index].length;
+            if (!this.parseMarkedChunkResult(text, expected)) {
+                throw new Error(`EPUB block mismatch in chunk ${index + 1}: expected ${expected} numbered blocks`);
+            }
+        }
+    }
+
+    extractTextFromMarkdown(markdown) {
+        if (typeof marked === 'undefined') {
+            console.warn('Markdown library (marked) not loaded, using the Markdown source as plain text');
+            return markdown.trim();
+        }
+        
+        // Render to HTML and read it back, so Markdown and HTML input share one structure
+        return this.extractTextFromHtml(marked.parse(markdown));
+    }
+
+    decodeTextBuffer(buffer, encoding) {
+        // TextDecoder drops a matching BOM by itself
+        return new TextDecoder(encoding).decode(buffer);
+    }
+
+    detectTextEncoding(bytes) {
+        // Byte order marks are authoritative
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+        
+        const sample = bytes.subarray(0, 64 * 1024);
+        
+        // UTF-16 without a BOM: mostly-ASCII text leaves every other byte zero
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < sample.length; i++) {
+            if (sample[i] === 0) {
+                if (i % 2 === 0) evenZeros++; else oddZeros++;
+            }
+        }
+        if (oddZeros > sample.length * 0.3 && evenZeros < sample.length * 0.05) return 'utf-16le';
+        if (evenZeros > sample.length * 0.3 && oddZeros < sample.length * 0.05) return 'utf-16be';
+        
+        // Valid UTF-8 (including plain ASCII) is almost never an accident
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+            return 'utf-8';
+        } catch (error) {
+            // Not UTF-8 - score the legacy candidates below
+        }
+        
+        let best = { encoding: 'windows-1252', score: -Infinity };
+        for (const encoding of this.legacyEncodings) {
+            let text;
+            try {
+                // Multi-byte encodings reject impossible byte sequences outright
+                text = new TextDecoder(encoding, { fatal: this.multiByteEncodings.includes(encoding) }).decode(sample, { stream: true });
+            } catch (error) {
+                continue;
+            }
+            
+            const score = this.scoreDecodedText(text);
+            console.log(`Encoding candidate ${encoding}: score ${score}`);
+            if (score > best.score) {
+                best = { encoding, score };
+            }
+        }
+        
+        return best.encoding;
+    }
+
+    scoreDecodedText(text) {
+        // Correct decodings produce common letters of one script; mojibake produces
+        // rare letters, stray symbols, control characters and mixed scripts inside words
+        const scriptOf = (char) => {
+            if (/\p{Script=Latin}/u.test(char)) return 'latin';
+            if (/\p{Script=Cyrillic}/u.test(char)) return 'cyrillic';
+            if (/\p{Script=Greek}/u.test(char)) return 'greek';
+            if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(char)) return 'kana';
+            if (/\p{Script=Hangul}/u.test(char)) return 'hangul';
+            if (/\p{Script=Han}/u.test(char)) return 'han';
+            return 'other';
+        };
+        
+        let score = 0;
+        let previous = null;
+        let previousScript = null;
+        
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (code < 0x80) {
+                if (code < 0x20 && !'\t\n\r\f'.includes(char)) score -= 20;
+                previous = char;
+                previousScript = null;
+                continue;
+            }
+            
+            const script = scriptOf(char);
+            if (char === '\uFFFD' || (code >= 0x80 && code <= 0x9F)) {
+                score -= 20;
+            } else if (!/[\p{L}\p{P}\p{Zs}]/u.test(char)) {
+                score -= 3; // Non-ASCII symbols such as box drawing are rare in real text
+            } else if (/\p{L}/u.test(char)) {
+                if (['kana', 'hangul', 'han'].includes(script)) {
+                    score += 2; // One CJK character spans two bytes, so it weighs two single-byte letters
+                }
+                if (this.commonCharacters.includes(char)) {
+                    score += 3;
+                }
+                
+                if (previousScript && previousScript !== script && !(['kana', 'han'].includes(script) && ['kana', 'han'].includes(previousScript))) {
+                    score -= 3; // Scripts do not mix inside a word
+                }
+                if (previous && /\p{Ll}/u.test(previous) && /\p{Lu}/u.test(char)) {
+                    score -= 2; // Capitals do not follow lowercase letters inside a word
+                }
+            }
+            
+            previous = char;
+            previousScript = /\p{L}/u.test(char) ? script : null;
+        }
+        
+        return score;
+    }
+
+    showEncodingInfo(encoding, text) {
+        const select = document.getElementById('encodingSelect');
+        if (!Array.from(select.options).some(option => option.value === encoding)) {
+            select.add(new Option(encoding, encoding));
+        }
+        select.value = encoding;
+        this.showEncodingPreview(text);
+        document.getElementById('encodingInfo').style.display = 'block';
+    }
+
+    showEncodingPreview(text) {
+        document.getElementById('encodingPreview').textContent = text.substring(0, 300).replace(/\s+/g, ' ').trim();
+    }
+
+    hideEncodingInfo() {
+        this.textFileBuffer = null;
+        document.getElementById('encodingInfo').style.display = 'none';
+    }
+
+    handleEncodingChange() {
+        if (!this.textFileBuffer) return;
+        
+        const encoding = document.getElementById('encodingSelect').value;
+        this.currentText = this.convertMarkupText(this.decodeTextBuffer(this.textFileBuffer, encoding), this.textFileType);
+        console.log('Re-decoded text as', encoding);
+        this.detectSourceLanguage();
+        
+        this.showEncodingPreview(this.currentText);
+        this.updateCostEstimate();
+    }
+
     async extractPdfText(file) {
         return new Promise((resolve, reject) => {
             // Check if PDF.js is available
@@ -529,44 +1512,63 @@ class TranslationMachine {
                     const pdf = await loadingTask.promise;
                     console.log('PDF loaded successfully, pages:', pdf.numPages);
                     
-                    let fullText = '';
+                    const pageLines = [];
                     
-                    // Extract text from each page
+                    // Rebuild lines from item coordinates on each page
                     for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
                         try {
                             const page = await pdf.getPage(pageNum);
                             const textContent = await page.getTextContent();
-                            const pageText = textContent.items
-                                .map(item => item.str)
-                                .join(' ')
-                                .replace(/\s+/g, ' ')
-                                .trim();
-                            
-                            if (pageText) {
-                                fullText += pageText + '\n\n';
-                                console.log(`Page ${pageNum}: ${pageText.length} characters extracted`);
-                            }
+                            const pageWidth = page.view[2] - page.view[0];
+                            pageLines.push(this.layoutPdfPage(textContent.items, pageWidth));
                         } catch (pageError) {
                             console.warn(`Error extracting text from page ${pageNum}:`, pageError);
+                            pageLines.push([]);
                             // Continue with other pages
                         }
                     }
                     
-                    if (!fullText.trim()) {
-                        console.log('No text found, attempting OCR...');
-                        // Try OCR for scanned PDFs
+                    this.removePdfRunningLines(pageLines);
+                    
+                    // Pages without a usable text layer are scanned images - OCR just those pages
+                    const scannedPages = [];
+                    pageLines.forEach((lines, index) => {
+                        const letters = lines.map(line => line.text).join('').match(/\p{L}/gu) || [];
+                        if (letters.length < 20) {
+                            scannedPages.push(index + 1);
+                        }
+                    });
+                    
+                    let ocrTexts = {};
+                    if (scannedPages.length > 0) {
+                        console.log(`${scannedPages.length} of ${pdf.numPages} pages have no text layer, attempting OCR...`);
                         try {
-                            const ocrText = await this.performOcrOnPdf(pdf);
-                            if (ocrText.trim()) {
-                                console.log('OCR extraction completed:', ocrText.length, 'characters');
-                                resolve(ocrText.trim());
-                            } else {
-                                reject(new Error('No text could be extracted from this PDF, even with OCR. The PDF may be corrupted or contain no readable content.'));
-                            }
+                            ocrTexts = await this.performOcrOnPdf(pdf, scannedPages);
                         } catch (ocrError) {
                             console.error('OCR failed:', ocrError);
-                            reject(new Error('This appears to be a scanned PDF, but OCR processing failed:\n' + ocrError.message + '\n\nTry converting the PDF to text manually first.'));
+                            if (scannedPages.length === pdf.numPages) {
+                                reject(new Error('This appears to be a scanned PDF, but OCR processing failed:\n' + ocrError.message + '\n\nTry converting the PDF to text manually first.'));
+                                return;
+                            }
+                            alert(`OCR failed for ${scannedPages.length} scanned page(s) (${scannedPages.join(', ')}):\n${ocrError.message}\n\nThese pages will be missing from the translation.`);
                         }
+                    }
+                    
+                    // Paragraphs that run over a page break are joined back together
+                    const paragraphs = [];
+                    pageLines.forEach((lines, index) => {
+                        const ocrText = ocrTexts[index + 1];
+                        const pageParagraphs = ocrText && ocrText.trim()
+                            ? this.buildOcrParagraphs(ocrText)
+                            : this.buildPdfParagraphs(lines);
+                        this.appendPageParagraphs(paragraphs, pageParagraphs);
+                        console.log(`Page ${index + 1}: ${pageParagraphs.length} paragraphs extracted${ocrText ? ' with OCR' : ''}`);
+                    });
+                    
+                    const fullText = paragraphs.join('\n\n');
+                    
+                    if (!fullText.trim()) {
+                        reject(new Error('No text could be extracted from this PDF, even with OCR. The PDF may be corrupted or contain no readable content.'));
                     } else {
                         console.log('PDF text extraction completed:', fullText.length, 'characters');
                         resolve(fullText.trim());
@@ -597,7 +1599,300 @@ class TranslationMachine {
         });
     }
 
-    async performOcrOnPdf(pdf) {
+    layoutPdfPage(items, pageWidth) {
+        const textItems = items
+            .filter(item => item.str !== undefined && item.str.trim())
+            .map(item => ({
+                str: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width,
+                height: item.height || Math.hypot(item.transform[2], item.transform[3]) || 10
+            }));
+        if (textItems.length === 0) return [];
+
+        const boundaries = this.detectPdfColumns(textItems, pageWidth);
+        if (boundaries.length === 0) {
+            return this.buildPdfLines(textItems, 0);
+        }
+
+        // Items that cross a gutter (titles, full-width figures) are read before or after the columns
+        const columns = boundaries.map(() => []).concat([[]]);
+        const spanning = [];
+        for (const item of textItems) {
+            const crossesGutter = boundaries.some(boundary => item.x < boundary && item.x + item.width > boundary);
+            if (crossesGutter) {
+                spanning.push(item);
+            } else {
+                const center = item.x + item.width / 2;
+                const column = boundaries.filter(boundary => center > boundary).length;
+                columns[column].push(item);
+            }
+        }
+
+        // Columns start where every column has text, so a stray header line does not lift the top
+        const columnTop = Math.min(...columns
+            .filter(items => items.length > 0)
+            .map(items => Math.max(...items.map(item => item.y + item.height))));
+        const above = spanning.filter(item => item.y >= columnTop);
+        const below = spanning.filter(item => item.y < columnTop);
+
+        const lines = this.buildPdfLines(above, 'above');
+        columns.forEach((items, index) => lines.push(...this.buildPdfLines(items, index)));
+        lines.push(...this.buildPdfLines(below, 'below'));
+        return lines;
+    }
+
+    detectPdfColumns(items, pageWidth) {
+        // Count text over each slice of the page width; nearly empty runs between text are gutters
+        const binCount = 200;
+        const binWidth = pageWidth / binCount;
+        const counts = new Array(binCount).fill(0);
+        const narrowItems = items.filter(item => item.width < pageWidth * 0.45);
+        if (narrowItems.length < 20) return [];
+
+        for (const item of narrowItems) {
+            const start = Math.max(0, Math.floor(item.x / binWidth));
+            const end = Math.min(binCount - 1, Math.floor((item.x + item.width) / binWidth));
+            for (let bin = start; bin <= end; bin++) counts[bin]++;
+        }
+
+        // A stray page number or footnote mark in the gutter should not hide it
+        const minCount = Math.max(2, Math.ceil(narrowItems.length * 0.03));
+        const covered = counts.map(count => count >= minCount);
+
+        const firstBin = covered.indexOf(true);
+        const lastBin = covered.lastIndexOf(true);
+        const textWidth = (lastBin - firstBin + 1) * binWidth;
+        const boundaries = [];
+        let runStart = null;
+
+        for (let bin = firstBin; bin <= lastBin; bin++) {
+            if (!covered[bin] && runStart === null) {
+                runStart = bin;
+            } else if (covered[bin] && runStart !== null) {
+                if ((bin - runStart) * binWidth >= Math.max(pageWidth * 0.015, 6)) {
+                    boundaries.push((runStart + bin) / 2 * binWidth);
+                }
+                runStart = null;
+            }
+        }
+
+        // A real column holds a fair share of the lines and is not a sliver like a table cell
+        const edges = [firstBin * binWidth, ...boundaries, (lastBin + 1) * binWidth];
+        for (let i = 0; i < edges.length - 1; i++) {
+            const columnWidth = edges[i + 1] - edges[i];
+            const itemsInColumn = narrowItems.filter(item => item.x >= edges[i] && item.x < edges[i + 1]).length;
+            if (columnWidth < textWidth * 0.2 || itemsInColumn < narrowItems.length * 0.15) {
+                return [];
+            }
+        }
+
+        return boundaries;
+    }
+
+    buildPdfLines(items, group) {
+        const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+        const lines = [];
+
+        for (const item of sorted) {
+            const line = lines[lines.length - 1];
+            if (line && Math.abs(line.y - item.y) <= Math.min(line.height, item.height) * 0.5) {
+                line.items.push(item);
+                line.height = Math.max(line.height, item.height);
+            } else {
+                lines.push({ y: item.y, height: item.height, items: [item], group });
+            }
+        }
+
+        return lines.map(line => {
+            line.items.sort((a, b) => a.x - b.x);
+            let text = '';
+            let previousEnd = null;
+            for (const item of line.items) {
+                // PDF producers often omit space items, so infer word breaks from the horizontal gap
+                const gap = previousEnd === null ? 0 : item.x - previousEnd;
+                if (text && gap > line.height * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+                    text += ' ';
+                }
+                text += item.str;
+                previousEnd = item.x + item.width;
+            }
+
+            const x = line.items[0].x;
+            return {
+                text: text.replace(/\s+/g, ' ').trim(),
+                x,
+                y: line.y,
+                width: previousEnd - x,
+                height: line.height,
+                group: line.group
+            };
+        }).filter(line => line.text);
+    }
+
+    removePdfRunningLines(pageLines) {
+        // Running headers and footers are the top and bottom lines that repeat across pages
+        const normalize = text => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+        const edgeLines = pageLines.map(lines => {
+            const byPosition = [...lines].sort((a, b) => b.y - a.y);
+            return new Set([...byPosition.slice(0, 2), ...byPosition.slice(-2)]);
+        });
+
+        // Lone numbers are left to isPageNumber below; counted here they would all share the key "#"
+        const pageCounts = {};
+        for (const edges of edgeLines) {
+            const repeatable = [...edges].filter(line => this.parsePageNumber(line.text) === null);
+            for (const key of new Set(repeatable.map(line => normalize(line.text)))) {
+                pageCounts[key] = (pageCounts[key] || 0) + 1;
+            }
+        }
+
+        const pagesWithText = pageLines.filter(lines => lines.length > 0).length;
+        const minRepeats = Math.max(3, Math.ceil(pagesWithText * 0.4));
+
+        // A lone number is a page number only when a nearby page carries the number that continues the sequence;
+        // chapter headings such as "IV" or "12" do not. Pages without a number (chapter openings) may sit between.
+        const edgeNumbers = edgeLines.map(edges => new Set([...edges].map(line => this.parsePageNumber(line.text)).filter(value => value !== null)));
+        const isPageNumber = (line, index) => {
+            const value = this.parsePageNumber(line.text);
+            return value !== null && [-2, -1, 1, 2].some(offset => edgeNumbers[index + offset]?.has(value + offset));
+        };
+
+        pageLines.forEach((lines, index) => {
+            const stripped = lines.filter(line => {
+                if (!edgeLines[index].has(line)) return true;
+                if (this.parsePageNumber(line.text) !== null) return !isPageNumber(line, index);
+                return !(pagesWithText >= 3 && pageCounts[normalize(line.text)] >= minRepeats);
+            });
+            if (stripped.length !== lines.length) {
+                console.log(`Page ${index + 1}: removed ${lines.length - stripped.length} header/footer lines`);
+            }
+            pageLines[index] = stripped;
+        });
+    }
+
+    parsePageNumber(text) {
+        // "12", "Page 12", "12 of 40", "12 / 40" or a well-formed Roman numeral ("xiv", not "mid" or "civil")
+        const match = text.match(/^(?:page\s*)?(\d+|[ivxlcdm]+)(?:\s*(?:of|\/)\s*\d+)?$/i);
+        if (!match) return null;
+        if (/^\d+$/.test(match[1])) return parseInt(match[1], 10);
+        
+        const roman = match[1].toLowerCase();
+        if (!/^m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/.test(roman)) return null;
+        const values = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+        return [...roman].reduce((total, letter, index) => {
+            const value = values[letter];
+            return values[roman[index + 1]] > value ? total - value : total + value;
+        }, 0);
+    }
+
+    buildPdfParagraphs(lines) {
+        if (lines.length === 0) return [];
+
+        // Typical line spacing and left edge per column decide where paragraphs break
+        const groupStats = {};
+        lines.forEach((line, index) => {
+            const stats = groupStats[line.group] || (groupStats[line.group] = { gaps: [], left: Infinity, maxWidth: 0 });
+            stats.left = Math.min(stats.left, line.x);
+            stats.maxWidth = Math.max(stats.maxWidth, line.width);
+            const previous = lines[index - 1];
+            if (previous && previous.group === line.group && previous.y > line.y) {
+                stats.gaps.push(previous.y - line.y);
+            }
+        });
+        for (const stats of Object.values(groupStats)) {
+            const sorted = stats.gaps.sort((a, b) => a - b);
+            stats.lineGap = sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+        }
+
+        const paragraphs = [];
+        let current = '';
+
+        lines.forEach((line, index) => {
+            const previous = lines[index - 1];
+            if (!previous) {
+                current = line.text;
+                return;
+            }
+
+            const stats = groupStats[line.group];
+            const gap = previous.y - line.y;
+            const endsSentence = /[.!?:"'»)]$/.test(previous.text);
+            const startsParagraph =
+                line.group !== previous.group ||
+                gap <= 0 ||
+                (stats.lineGap > 0 && gap > stats.lineGap * 1.5) ||
+                Math.abs(line.height - previous.height) > previous.height * 0.2 ||
+                (endsSentence && previous.width < stats.maxWidth * 0.8) ||
+                (endsSentence && line.x - stats.left > line.height);
+
+            if (startsParagraph) {
+                paragraphs.push(current);
+                current = line.text;
+            } else {
+                current = this.joinPdfLines(current, line.text);
+            }
+        });
+        paragraphs.push(current);
+
+        return paragraphs.filter(paragraph => paragraph.trim());
+    }
+
+    appendPageParagraphs(paragraphs, pageParagraphs) {
+        if (pageParagraphs.length === 0) return;
+
+        // A paragraph that runs over a page break continues with a lowercase word
+        const previous = paragraphs[paragraphs.length - 1];
+        const rest = [...pageParagraphs];
+        if (previous && !/[.!?:;"'»)\]]$/.test(previous) && /^\p{Ll}/u.test(rest[0])) {
+            paragraphs[paragraphs.length - 1] = this.joinPdfLines(previous, rest.shift());
+        }
+        paragraphs.push(...rest);
+    }
+
+    joinPdfLines(previous, next) {
+        // Rejoin words hyphenated at the end of a line
+        if (/\p{L}[-\u00AD]$/u.test(previous) && /^\p{Ll}/u.test(next)) {
+            return previous.slice(0, -1) + next;
+        }
+        return previous + ' ' + next;
+    }
+
+    async performOcrOnPdf(pdf, pageNumbers) {
+        const results = await this.runOcrPool(
+            pageNumbers.length,
+            (index) => this.renderPdfPageForOcr(pdf, pageNumbers[index]),
+            (index) => `page ${pageNumbers[index]}`
+        );
+        
+        const ocrTexts = {};
+        results.forEach((result, index) => {
+            if (result && result.text.trim()) {
+                ocrTexts[pageNumbers[index]] = result.text.trim();
+            }
+        });
+        
+        this.showOcrConfidence(results.map((result, index) => result && { page: pageNumbers[index], confidence: result.confidence }));
+        return ocrTexts;
+    }
+
+    async renderPdfPageForOcr(pdf, pageNum) {
+        const page = await pdf.getPage(pageNum);
+        
+        // Render page to canvas
+        const scale = 2.0; // Higher scale for better OCR accuracy
+        const viewport = page.getViewport({ scale });
+        
+        const canvas = document.createElement('canvas');
+        canvas.height = viewport.height;
+        canvas.width = viewport.width;
+        
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        return canvas;
+    }
+
+    async runOcrPool(total, getImage, describe) {
         // Check if Tesseract is available
         if (typeof Tesseract === 'undefined') {
             throw new Error('OCR library (Tesseract.js) not loaded. Please refresh the page and try again.');
@@ -606,69 +1901,177 @@ class TranslationMachine {
         // Show OCR progress
         this.showOcrProgress();
         
-        let fullText = '';
-        const totalPages = pdf.numPages;
+        const languages = this.getOcrLanguages();
+        // Leave a core for the page and for PDF rendering; each worker holds its own language data in memory
+        const poolSize = Math.max(1, Math.min((navigator.hardwareConcurrency || 2) - 1, 4, total));
+        const results = new Array(total).fill(null);
+        const jobProgress = {};
+        let completed = 0;
+        
+        const reportProgress = (status) => {
+            const inFlight = Object.values(jobProgress).reduce((sum, progress) => sum + progress, 0);
+            this.updateOcrProgress(completed + inFlight, total, status);
+        };
+        
+        console.log(`OCR: ${total} images, ${poolSize} workers, languages: ${languages}`);
+        this.updateOcrProgress(0, total, `Starting ${poolSize} OCR workers (${languages})...`);
+        
+        const scheduler = Tesseract.createScheduler();
         
         try {
-            for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-                this.updateOcrProgress(pageNum - 1, totalPages, `Processing page ${pageNum} of ${totalPages}...`);
-                
-                try {
-                    // Get the page
-                    const page = await pdf.getPage(pageNum);
-                    
-                    // Render page to canvas
-                    const scale = 2.0; // Higher scale for better OCR accuracy
-                    const viewport = page.getViewport({ scale });
-                    
-                    const canvas = document.createElement('canvas');
-                    const context = canvas.getContext('2d');
-                    canvas.height = viewport.height;
-                    canvas.width = viewport.width;
-                    
-                    const renderContext = {
-                        canvasContext: context,
-                        viewport: viewport
-                    };
-                    
-                    await page.render(renderContext).promise;
-                    
-                    // Convert canvas to image data for OCR
-                    const imageData = canvas.toDataURL('image/png');
-                    
-                    // Perform OCR on the page
-                    const { data: { text } } = await Tesseract.recognize(imageData, 'eng', {
-                        logger: (m) => {
-                            if (m.status === 'recognizing text') {
-                                const progress = Math.round(m.progress * 100);
-                                this.updateOcrProgress(pageNum - 1 + m.progress, totalPages, 
-                                    `OCR on page ${pageNum}: ${progress}%`);
-                            }
+            for (let i = 0; i < poolSize; i++) {
+                const worker = await Tesseract.createWorker({
+                    logger: (m) => {
+                        if (m.status === 'recognizing text' && m.jobId) {
+                            jobProgress[m.jobId] = m.progress;
+                            reportProgress(`OCR: ${completed} of ${total} pages done`);
+                        }
+                    }
+                });
+                await worker.loadLanguage(languages);
+                await worker.initialize(languages);
+                scheduler.addWorker(worker);
+            }
+            
+            // Each runner renders its next image and queues it, so rendering overlaps with recognition
+            let nextIndex = 0;
+            const runner = async () => {
+                while (nextIndex < total) {
+                    const index = nextIndex++;
+                    let image = null;
+                    try {
+                        image = await getImage(index);
+                        const { data, jobId } = await scheduler.addJob('recognize', image);
+                        delete jobProgress[jobId];
+                        results[index] = { text: data.text, confidence: data.confidence };
+                        console.log(`OCR ${describe(index)}: ${data.text.length} characters, confidence ${Math.round(data.confidence)}%`);
+                    } catch (pageError) {
+                        console.warn(`OCR failed on ${describe(index)}:`, pageError);
+                        // Continue with other pages
+                    } finally {
+                        if (image instanceof HTMLCanvasElement) {
+                            image.width = 0; // Release the canvas memory
                         }
-                    });
-                    
-                    if (text.trim()) {
-                        fullText += text.trim() + '\n\n';
-                        console.log(`OCR Page ${pageNum}: ${text.length} characters extracted`);
                     }
                     
-                } catch (pageError) {
-                    console.warn(`OCR failed on page ${pageNum}:`, pageError);
-                    // Continue with other pages
+                    completed++;
+                    reportProgress(`OCR: ${describe(index)} done (${completed} of ${total})`);
                 }
-            }
+            };
             
-            this.updateOcrProgress(totalPages, totalPages, 'OCR completed!');
+            await Promise.all(Array.from({ length: poolSize }, runner));
+            
+            this.updateOcrProgress(total, total, 'OCR completed!');
             
             // Hide OCR progress after a short delay
             setTimeout(() => this.hideOcrProgress(), 1500);
             
-            return fullText;
+            return results;
             
         } catch (error) {
             this.hideOcrProgress();
             throw error;
+        } finally {
+            await scheduler.terminate();
+        }
+    }
+
+    showOcrConfidence(pages) {
+        const scored = pages.filter(page => page);
+        if (scored.length === 0) return;
+        
+        const lowConfidence = scored.filter(page => page.confidence < this.ocrConfidenceThreshold);
+        const average = scored.reduce((sum, page) => sum + page.confidence, 0) / scored.length;
+        console.log(`OCR average confidence: ${average.toFixed(1)}%, low-confidence pages:`, lowConfidence);
+        
+        if (lowConfidence.length === 0) return;
+        
+        const pageList = lowConfidence.map(page => `${page.page} (${Math.round(page.confidence)}%)`).join(', ');
+        document.getElementById('ocrWarningText').textContent =
+            `Low OCR confidence on ${lowConfidence.length} of ${scored.length} pages: ${pageList}. ` +
+            `Average confidence ${Math.round(average)}%. Check the OCR language setting or the scan quality before translating.`;
+        document.getElementById('ocrWarning').style.display = 'flex';
+    }
+
+    hideOcrConfidence() {
+        document.getElementById('ocrWarning').style.display = 'none';
+    }
+
+    async extractImageText(files) {
+        // Multi-page TIFFs expand into one OCR page per frame
+        const pages = [];
+        for (const file of files) {
+            const type = this.getFileTypeFromName(file.name) || file.type;
+            if (type === 'image/tiff') {
+                pages.push(...await this.decodeTiffPages(file));
+            } else {
+                pages.push({ label: file.name, load: async () => file });
+            }
+        }
+        
+        const results = await this.runOcrPool(
+            pages.length,
+            (index) => pages[index].load(),
+            (index) => pages[index].label
+        );
+        
+        this.showOcrConfidence(results.map((result, index) => result && { page: pages[index].label, confidence: result.confidence }));
+        
+        const paragraphs = [];
+        results.forEach(result => {
+            if (result && result.text.trim()) {
+                this.appendPageParagraphs(paragraphs, this.buildOcrParagraphs(result.text));
+            }
+        });
+        
+        if (paragraphs.length === 0) {
+            throw new Error('No text could be recognised in the image' + (pages.length > 1 ? 's' : '') + '. Check the OCR language setting and the image quality.');
+        }
+        
+        console.log('Image OCR completed:', pages.length, 'pages,', paragraphs.length, 'paragraphs');
+        return paragraphs.join('\n\n');
+    }
+
+    async decodeTiffPages(file) {
+        // Browsers cannot draw TIFF, so frames are decoded with UTIF.js and drawn onto canvases
+        if (typeof UTIF === 'undefined') {
+            throw new Error('TIFF library (UTIF.js) not loaded. Please refresh the page and try again.');
         }
+        
+        const buffer = await file.arrayBuffer();
+        const frames = UTIF.decode(buffer).filter(ifd => ifd.t256 && ifd.t257);
+        
+        return frames.map((ifd, index) => ({
+            label: frames.length > 1 ? `${file.name} page ${index + 1}` : file.name,
+            load: async () => {
+                UTIF.decodeImage(buffer, ifd);
+                const rgba = UTIF.toRGBA8(ifd);
+                const canvas = document.createElement('canvas');
+                canvas.width = ifd.width;
+                canvas.height = ifd.height;
+                const context = canvas.getContext('2d');
+                context.putImageData(new ImageData(new Uint8ClampedArray(rgba.buffer), ifd.width, ifd.height), 0, 0);
+                ifd.data = null; // Free the decoded frame
+                return canvas;
+            }
+        }));
+    }
+
+    buildOcrParagraphs(text) {
+        // Tesseract separates paragraphs with blank lines and keeps the original line breaks inside them
+        return text
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph
+                .split('\n')
+                .map(line => line.trim())
+                .filter(line => line)
+                .reduce((joined, line) => joined ? this.joinPdfLines(joined, line) : line, ''))
+            .filter(paragraph => paragraph);
+    }
+
+    getOcrLanguages() {
+        // Tesseract takes several languages joined with "+", e.g. "por+eng"
+        return this.ocrLanguages.length > 0 ? this.ocrLanguages.join('+') : 'eng';
     }
 
     showOcrProgress() {
@@ -695,33 +2098,62 @@ class TranslationMachine {
             reader.onload = async (e) => {
                 try {
                     const zip = await JSZip.loadAsync(e.target.result);
-                    let fullText = '';
+                    const epubPackage = await this.parseEpubPackage(zip);
+                    let documentPaths;
                     
-                    // Find all XHTML files in the EPUB
-                    const xhtmlFiles = [];
-                    zip.forEach((relativePath, zipEntry) => {
-                        if (relativePath.endsWith('.xhtml') || relativePath.endsWith('.html') || 
-                            (relativePath.includes('OEBPS/') && relativePath.endsWith('.xml'))) {
-                            xhtmlFiles.push(relativePath);
-                        }
-                    });
+                    if (epubPackage) {
+                        documentPaths = epubPackage.readingOrder;
+                        console.log('EPUB reading order from OPF spine:', documentPaths.length, 'documents');
+                    } else {
+                        // No usable OPF - fall back to every XHTML file in name order
+                        console.warn('EPUB package document not found, falling back to file name order');
+                        documentPaths = [];
+                        zip.forEach((relativePath, zipEntry) => {
+                            if (relativePath.endsWith('.xhtml') || relativePath.endsWith('.html') || 
+                                (relativePath.includes('OEBPS/') && relativePath.endsWith('.xml'))) {
+                                documentPaths.push(relativePath);
+                            }
+                        });
+                        documentPaths.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+                    }
                     
-                    // Sort files to maintain reading order (basic sorting)
-                    xhtmlFiles.sort();
+                    const titles = epubPackage?.titles || {};
+                    const sections = [];
                     
-                    // Extract text from each XHTML file
-                    for (const filePath of xhtmlFiles) {
+                    // The book title is its own section so the export can write its translation back to the OPF
+                    if (epubPackage?.title) {
+                        sections.push({ path: null, role: 'title', blocks: [epubPackage.title], markup: [epubPackage.title], hasTitleMarker: false });
+                    }
+                    
+                    // Extract text from each document in reading order
+                    for (const filePath of documentPaths) {
                         try {
-                            const content = await zip.file(filePath).async('string');
-                            const textContent = this.extractTextFromHtml(content);
-                            if (textContent.trim()) {
-                                fullText += textContent + '\n\n';
+                            const entry = zip.file(filePath);
+                            if (!entry) {
+                                console.warn(`Spine item ${filePath} is missing from the EPUB`);
+                                continue;
+                            }
+                            const content = await entry.async('string');
+                            const extracted = this.getEpubTextBlocks(this.parseEpubDocument(content));
+                            const blocks = extracted.map(block => block.text);
+                            // What is sent to the model: the block text with its inline elements as numbered tags
+                            const markup = extracted.map(block => this.getEpubBlockMarkup(block.element).text);
+                            const title = titles[filePath];
+                            
+                            // Keep the chapter title as a section marker unless the text already opens with it
+                            const hasTitleMarker = Boolean(title) && blocks.length > 0 && !blocks[0].startsWith(title);
+                            
+                            if (blocks.length > 0) {
+                                sections.push({ path: filePath, role: 'document', title: title || '', blocks, markup, hasTitleMarker });
                             }
                         } catch (error) {
                             console.warn(`Failed to extract text from ${filePath}:`, error);
                         }
                     }
                     
+                    const fullText = sections.map(section => this.getEpubSectionText(section)).join('\n\n');
+                    this.epubStructure = epubPackage ? { opfPath: epubPackage.opfPath, sections, chunkBlocks: [] } : null;
+                    
                     if (!fullText.trim()) {
                         reject(new Error('No readable text found in EPUB file.'));
                     } else {
@@ -735,108 +2167,647 @@ class TranslationMachine {
         });
     }
 
-    extractTextFromHtml(htmlContent) {
-        // Create a temporary DOM element to parse HTML
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = htmlContent;
+    async parseEpubPackage(zip) {
+        const parser = new DOMParser();
+        const containerEntry = zip.file('META-INF/container.xml');
+        if (!containerEntry) return null;
+        
+        const containerXml = parser.parseFromString(await containerEntry.async('string'), 'application/xml');
+        const rootfile = containerXml.getElementsByTagName('rootfile')[0];
+        const opfPath = rootfile?.getAttribute('full-path');
+        const opfEntry = opfPath && zip.file(opfPath);
+        if (!opfEntry) return null;
+        
+        const opf = parser.parseFromString(await opfEntry.async('string'), 'application/xml');
+        const opfDir = opfPath.includes('/') ? opfPath.substring(0, opfPath.lastIndexOf('/') + 1) : '';
+        
+        // Manifest: id -> item
+        const manifest = {};
+        for (const item of Array.from(opf.getElementsByTagNameNS('*', 'item'))) {
+            const path = this.resolveEpubPath(opfDir, item.getAttribute('href'));
+            if (!path) continue;
+            manifest[item.getAttribute('id')] = {
+                path,
+                mediaType: item.getAttribute('media-type') || '',
+                properties: (item.getAttribute('properties') || '').split(/\s+/)
+            };
+        }
         
-        // Remove script and style elements
-        const scripts = tempDiv.querySelectorAll('script, style');
-        scripts.forEach(el => el.remove());
+        const spine = opf.getElementsByTagNameNS('*', 'spine')[0];
+        if (!spine) return null;
         
-        // Get text content and clean it up
-        let text = tempDiv.textContent || tempDiv.innerText || '';
+        // Navigation and cover pages are front matter, not content to translate
+        const skipPaths = new Set();
+        for (const item of Object.values(manifest)) {
+            if (item.properties.includes('nav')) skipPaths.add(item.path);
+        }
+        for (const reference of Array.from(opf.getElementsByTagNameNS('*', 'reference'))) {
+            const path = this.resolveEpubPath(opfDir, reference.getAttribute('href'));
+            if (path && ['cover', 'toc'].includes(reference.getAttribute('type'))) {
+                skipPaths.add(path);
+            }
+        }
         
-        // Clean up whitespace
-        text = text.replace(/\s+/g, ' ').trim();
+        const readingOrder = [];
+        for (const itemref of Array.from(spine.getElementsByTagNameNS('*', 'itemref'))) {
+            const item = manifest[itemref.getAttribute('idref')];
+            if (!item) continue;
+            if (itemref.getAttribute('linear') === 'no') continue;
+            if (skipPaths.has(item.path)) continue;
+            readingOrder.push(item.path);
+        }
         
-        // Add paragraph breaks for better formatting
-        text = text.replace(/\. ([A-Z])/g, '.\n\n$1');
+        // Chapter titles from the EPUB 3 nav document, falling back to the EPUB 2 NCX
+        let titles = {};
+        const navItem = Object.values(manifest).find(item => item.properties.includes('nav'));
+        const ncxItem = manifest[spine.getAttribute('toc')] ||
+            Object.values(manifest).find(item => item.mediaType === 'application/x-dtbncx+xml');
         
-        return text;
-    }
-
-    showFileInfo(file) {
-        document.getElementById('fileName').textContent = file.name;
-        document.getElementById('fileSize').textContent = this.formatFileSize(file.size);
-        document.getElementById('fileInfo').style.display = 'block';
-        document.getElementById('uploadArea').style.display = 'none';
-        this.showNewTranslationButton();
+        try {
+            if (navItem && zip.file(navItem.path)) {
+                titles = this.parseEpubNav(await zip.file(navItem.path).async('string'), navItem.path);
+            }
+            if (Object.keys(titles).length === 0 && ncxItem && zip.file(ncxItem.path)) {
+                titles = this.parseEpubNcx(await zip.file(ncxItem.path).async('string'), ncxItem.path);
+            }
+        } catch (error) {
+            console.warn('Failed to read EPUB table of contents:', error);
+        }
+        
+        const titleNode = opf.getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', 'title')[0];
+        const title = titleNode ? titleNode.textContent.replace(/\s+/g, ' ').trim() : '';
+        
+        return { opfPath, readingOrder, titles, title };
     }
 
-    removeFile() {
-        this.currentFile = null;
-        this.currentText = '';
-        document.getElementById('fileInfo').style.display = 'none';
-        document.getElementById('uploadArea').style.display = 'block';
-        document.getElementById('configSection').style.display = 'none';
-        document.getElementById('fileInput').value = '';
-        this.hideOcrProgress();
-        this.hideNewTranslationButton();
+    parseEpubDocument(content) {
+        // Spine documents should be XHTML, but some EPUB 2 books ship tag soup
+        let doc = new DOMParser().parseFromString(content, 'application/xhtml+xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            doc = new DOMParser().parseFromString(content, 'text/html');
+        }
+        return doc;
     }
 
-    showConfigSection() {
-        document.getElementById('configSection').style.display = 'block';
-        document.getElementById('configSection').classList.add('fade-in');
+    getEpubTextBlocks(doc) {
+        // Leaf block elements carry the text; each one becomes a paragraph of the extracted text
+        const blockTags = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'td', 'th', 'dt', 'dd', 'blockquote', 'pre', 'caption', 'figcaption', 'div'];
+        const body = doc.getElementsByTagName('body')[0] || doc.documentElement;
+        const blocks = [];
+        
+        const walk = (element) => {
+            for (const child of Array.from(element.children)) {
+                const tag = child.localName.toLowerCase();
+                if (['script', 'style', 'head'].includes(tag)) continue;
+                
+                const containsBlocks = blockTags.some(blockTag => child.getElementsByTagName(blockTag).length > 0);
+                if (blockTags.includes(tag) && !containsBlocks) {
+                    const text = child.textContent.replace(/\s+/g, ' ').trim();
+                    if (text) {
+                        blocks.push({ element: child, text });
+                    }
+                } else {
+                    walk(child);
+                }
+            }
+        };
+        walk(body);
+        
+        return blocks;
     }
 
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    getEpubBlockMarkup(element) {
+        // Inline elements (emphasis, links, note references, spans, images) become numbered tags the model keeps
+        // around the translated words: <1>...</1>, or <2/> when the element has no text of its own
+        const inline = [];
+        const serialize = (node) => Array.from(node.childNodes).map(child => {
+            if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE) return child.textContent;
+            if (child.nodeType !== Node.ELEMENT_NODE) return '';
+            
+            inline.push(child);
+            const number = inline.length;
+            const inner = serialize(child);
+            return inner.trim() ? `<${number}>${inner}</${number}>` : `<${number}/>`;
+        }).join('');
+        
+        return { text: serialize(element).replace(/\s+/g, ' ').trim(), inline };
     }
 
-    updateSystemPrompt() {
-        const styleSelect = document.getElementById('styleSelect');
-        const promptTextarea = document.getElementById('systemPrompt');
-        const mode = document.getElementById('translationMode').value;
-        const transformationType = document.getElementById('transformationType').value;
-        
-        console.log('=== SYSTEM PROMPT UPDATE ===');
-        console.log('Mode:', mode);
-        console.log('Style selected:', styleSelect.value);
-        if (mode === 'transform') {
-            console.log('Transformation type:', transformationType);
+    applyEpubBlockMarkup(element, translated) {
+        // Rebuilds the block from its translation: every tag becomes a copy of the original inline element, so
+        // attributes, classes, links and ids survive. Returns false when the tags are not usable.
+        const { inline } = this.getEpubBlockMarkup(element);
+        const doc = element.ownerDocument;
+        const fragment = doc.createDocumentFragment();
+        const stack = [{ node: fragment, number: 0 }];
+        const used = new Set();
+        
+        for (const token of translated.split(/(<\/?\d+\/?>)/)) {
+            const tag = token.match(/^<(\/?)(\d+)(\/?)>$/);
+            if (!tag) {
+                if (token) stack[stack.length - 1].node.appendChild(doc.createTextNode(token));
+                continue;
+            }
+            
+            const number = Number(tag[2]);
+            const original = inline[number - 1];
+            if (tag[1]) {
+                if (stack[stack.length - 1].number !== number) return false;
+                stack.pop();
+                continue;
+            }
+            if (!original || used.has(number)) return false;
+            
+            used.add(number);
+            // Self-closing tags stand for elements without text (images, anchors), which are copied whole; an element
+            // that held source words is copied empty even when the model collapsed its tag, so no untranslated text leaks
+            const copy = original.cloneNode(Boolean(tag[3]) && !original.textContent.trim());
+            stack[stack.length - 1].node.appendChild(copy);
+            if (!tag[3]) stack.push({ node: copy, number });
         }
+        if (stack.length !== 1) return false;
         
-        // Check if we should use a preset or keep custom prompt
-        const isCustomStyle = styleSelect.value === 'custom';
-        const isCustomTransform = mode === 'transform' && transformationType === 'custom-transform';
-        
-        if (!isCustomStyle && !isCustomTransform) {
-            // Use preset prompts
-            let template;
-            
-            if (mode === 'transform') {
-                // Use transformation presets
-                template = this.getTransformationPrompt();
-                if (!template) {
-                    console.error('No transformation template found for type:', transformationType);
-                    return;
-                }
-            } else {
-                // Use translation presets
-                template = this.stylePresets[styleSelect.value];
-                
-                // Ensure template contains English
-                if (!template.toLowerCase().includes('english')) {
-                    console.error('CRITICAL: Translation template does not contain "English"!', template);
-                    // Fix the template
-                    template = template.replace(/to \{language\}/g, 'to English');
-                    console.log('Fixed template:', template);
-                }
+        // Text-free elements the model dropped (images, note anchors) are kept at the end of the block
+        inline.forEach((original, index) => {
+            const isNested = inline.some((other, otherIndex) => otherIndex < index && other.contains(original));
+            if (!used.has(index + 1) && !isNested && !original.textContent.trim()) {
+                fragment.appendChild(original.cloneNode(true));
             }
+        });
+        
+        element.replaceChildren(fragment);
+        return true;
+    }
+
+    getEpubSectionText(section) {
+        const paragraphs = section.hasTitleMarker ? [section.title, ...section.blocks] : section.blocks;
+        return paragraphs.join('\n\n');
+    }
+
+    parseEpubNav(content, navPath) {
+        const navDir = navPath.substring(0, navPath.lastIndexOf('/') + 1);
+        const doc = new DOMParser().parseFromString(content, 'application/xhtml+xml');
+        const navs = Array.from(doc.getElementsByTagNameNS('*', 'nav'));
+        const tocNav = navs.find(nav => (nav.getAttributeNS('http://www.idpf.org/2007/ops', 'type') || nav.getAttribute('epub:type') || '').includes('toc')) || navs[0];
+        const titles = {};
+        if (!tocNav) return titles;
+        
+        for (const link of Array.from(tocNav.getElementsByTagNameNS('*', 'a'))) {
+            const href = link.getAttribute('href');
+            const title = link.textContent.replace(/\s+/g, ' ').trim();
+            if (!href || !title) continue;
             
-            console.log('Template generated:', template);
-            promptTextarea.value = template;
-            console.log('Final system prompt set to:', template);
+            const path = this.resolveEpubPath(navDir, href);
+            if (path && !titles[path]) titles[path] = title; // First entry wins for multi-section files
+        }
+        return titles;
+    }
+
+    parseEpubNcx(content, ncxPath) {
+        const ncxDir = ncxPath.substring(0, ncxPath.lastIndexOf('/') + 1);
+        const doc = new DOMParser().parseFromString(content, 'application/xml');
+        const titles = {};
+        
+        for (const navPoint of Array.from(doc.getElementsByTagNameNS('*', 'navPoint'))) {
+            const label = navPoint.getElementsByTagNameNS('*', 'text')[0];
+            const contentNode = navPoint.getElementsByTagNameNS('*', 'content')[0];
+            const src = contentNode?.getAttribute('src');
+            const title = label?.textContent.replace(/\s+/g, ' ').trim();
+            if (!src || !title) continue;
             
-            if (mode === 'translate') {
-                console.log('Translation prompt contains "English"?:', template.toLowerCase().includes('english'));
-            } else {
-                console.log('Transformation prompt ready');
+            const path = this.resolveEpubPath(ncxDir, src);
+            if (path && !titles[path]) titles[path] = title;
+        }
+        return titles;
+    }
+
+    resolveEpubPath(baseDir, href) {
+        // Resolve a manifest/TOC href against its document directory, dropping any fragment; null when there is none
+        if (!href) return null;
+        let cleanHref = href.split('#')[0];
+        try {
+            cleanHref = decodeURIComponent(cleanHref);
+        } catch (error) {
+            console.warn('EPUB: malformed escape in href, using it as written:', href);
+        }
+        const parts = (baseDir + cleanHref).split('/');
+        const resolved = [];
+        for (const part of parts) {
+            if (part === '..') {
+                resolved.pop();
+            } else if (part !== '.' && part !== '') {
+                resolved.push(part);
+            }
+        }
+        return resolved.length > 0 ? resolved.join('/') : null;
+    }
+
+    async extractDocxText(file) {
+        return new Promise((resolve, reject) => {
+            if (typeof PizZip === 'undefined') {
+                reject(new Error('DOCX library (PizZip) not loaded. Please refresh the page and try again.'));
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    const zip = new PizZip(e.target.result);
+                    const documentEntry = zip.file('word/document.xml');
+                    if (!documentEntry) {
+                        reject(new Error('The file does not look like a Word document (word/document.xml is missing).'));
+                        return;
+                    }
+
+                    const parser = new DOMParser();
+                    const documentXml = parser.parseFromString(documentEntry.asText(), 'application/xml');
+                    const body = documentXml.getElementsByTagNameNS(this.wordNamespace, 'body')[0];
+                    if (!body) {
+                        reject(new Error('No document body found in DOCX file.'));
+                        return;
+                    }
+
+                    // Every block becomes its own paragraph so chunkText can split on real boundaries
+                    const blocks = this.extractDocxBlocks(body);
+
+                    // Footnotes and endnotes are appended after the body, keyed by their reference marks
+                    for (const part of ['footnotes', 'endnotes']) {
+                        const notesEntry = zip.file(`word/${part}.xml`);
+                        if (!notesEntry) continue;
+
+                        const notesXml = parser.parseFromString(notesEntry.asText(), 'application/xml');
+                        const noteTag = part === 'footnotes' ? 'footnote' : 'endnote';
+                        const notes = Array.from(notesXml.getElementsByTagNameNS(this.wordNamespace, noteTag))
+                            .filter(note => !note.getAttributeNS(this.wordNamespace, 'type')) // Skip separators
+                            .map(note => {
+                                const id = note.getAttributeNS(this.wordNamespace, 'id');
+                                const noteText = this.extractDocxBlocks(note).join(' ');
+                                return noteText ? `[${part === 'footnotes' ? '' : 'e'}${id}] ${noteText}` : '';
+                            })
+                            .filter(note => note);
+
+                        if (notes.length > 0) {
+                            blocks.push(part === 'footnotes' ? 'Notes' : 'Endnotes', ...notes);
+                        }
+                    }
+
+                    const fullText = blocks.join('\n\n');
+                    if (!fullText.trim()) {
+                        reject(new Error('No readable text found in DOCX file.'));
+                    } else {
+                        console.log('DOCX text extraction completed:', fullText.length, 'characters in', blocks.length, 'blocks');
+                        resolve(fullText.trim());
+                    }
+                } catch (error) {
+                    reject(new Error(`Error parsing DOCX: ${error.message}`));
+                }
+            };
+            reader.onerror = function() {
+                reject(new Error('Could not read the file. Please try again with a different DOCX.'));
+            };
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    extractDocxBlocks(container) {
+        const blocks = [];
+
+        for (const node of Array.from(container.childNodes)) {
+            if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+            switch (node.localName) {
+                case 'p': {
+                    const text = this.extractDocxParagraphText(node);
+                    if (!text.trim()) break;
+
+                    // Only the paragraph's own properties; text boxes inside it hold paragraphs with their own pPr
+                    const properties = Array.from(node.childNodes).find(child => child.localName === 'pPr');
+                    const styleNode = properties?.getElementsByTagNameNS(this.wordNamespace, 'pStyle')[0];
+                    const style = styleNode?.getAttributeNS(this.wordNamespace, 'val') || '';
+                    const isListItem = properties?.getElementsByTagNameNS(this.wordNamespace, 'numPr').length > 0 ||
+                        /^List/i.test(style);
+
+                    if (isListItem) {
+                        blocks.push('- ' + text.trim());
+                    } else {
+                        // Headings and titles stay on their own line as separate blocks
+                        blocks.push(text.trim());
+                    }
+                    break;
+                }
+                case 'tbl':
+                    // One block per table cell keeps cells apart without inventing a table syntax
+                    for (const row of Array.from(node.childNodes).filter(child => child.localName === 'tr')) {
+                        for (const cell of Array.from(row.childNodes).filter(child => child.localName === 'tc')) {
+                            const cellText = this.extractDocxBlocks(cell).join('\n');
+                            if (cellText.trim()) {
+                                blocks.push(cellText.trim());
+                            }
+                        }
+                    }
+                    break;
+                case 'sdt':
+                case 'sdtContent':
+                case 'customXml':
+                    // Content controls wrap regular paragraphs and tables
+                    blocks.push(...this.extractDocxBlocks(node));
+                    break;
+            }
+        }
+
+        return blocks;
+    }
+
+    extractDocxParagraphText(paragraph) {
+        let text = '';
+        const walk = (node) => {
+            for (const child of Array.from(node.childNodes)) {
+                if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+                switch (child.localName) {
+                    case 't':
+                        text += child.textContent;
+                        break;
+                    case 'tab':
+                        text += '\t';
+                        break;
+                    case 'br':
+                    case 'cr':
+                        text += '\n';
+                        break;
+                    case 'noBreakHyphen':
+                        text += '-';
+                        break;
+                    case 'footnoteReference':
+                        text += `[${child.getAttributeNS(this.wordNamespace, 'id')}]`;
+                        break;
+                    case 'endnoteReference':
+                        text += `[e${child.getAttributeNS(this.wordNamespace, 'id')}]`;
+                        break;
+                    case 'pPr':
+                    case 'rPr':
+                    case 'delText':
+                    case 'instrText':
+                    case 'Fallback':
+                        // Formatting, deleted revisions and field codes are not part of the visible text; text boxes
+                        // are written twice (mc:Choice and the VML mc:Fallback), so only the Choice is read
+                        break;
+                    case 'p':
+                        // Paragraphs of a text box anchored in this paragraph go on their own lines
+                        if (text && !text.endsWith('\n')) text += '\n';
+                        walk(child);
+                        text += '\n';
+                        break;
+                    default:
+                        walk(child);
+                }
+            }
+        };
+        walk(paragraph);
+        return text;
+    }
+
+    extractTextFromHtml(htmlContent) {
+        const doc = new DOMParser().parseFromString(htmlContent, 'text/html');
+        
+        // Remove non-content elements
+        doc.querySelectorAll('script, style, noscript, template, iframe, svg').forEach(el => el.remove());
+        
+        // Every block becomes its own paragraph; headings and lists keep Markdown-style markers
+        const blocks = [];
+        this.collectHtmlBlocks(doc.body, blocks);
+        return blocks.map(block => block.trim()).filter(block => block).join('\n\n');
+    }
+
+    collectHtmlBlocks(element, blocks) {
+        const blockTags = ['p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav', 'blockquote',
+            'figure', 'figcaption', 'address', 'dl', 'dt', 'dd', 'form', 'fieldset', 'center', 'hr', 'body'];
+        let inline = '';
+        
+        const flush = () => {
+            const text = inline.split('\n').map(line => line.trim()).join('\n').trim();
+            if (text) blocks.push(text);
+            inline = '';
+        };
+        
+        for (const child of Array.from(element.childNodes)) {
+            if (child.nodeType === Node.TEXT_NODE) {
+                inline += child.textContent.replace(/\s+/g, ' ');
+                continue;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE) continue;
+            
+            const tag = child.tagName.toLowerCase();
+            if (/^h[1-6]$/.test(tag)) {
+                flush();
+                blocks.push('#'.repeat(Number(tag[1])) + ' ' + this.getHtmlInlineText(child).replace(/\s+/g, ' ').trim());
+            } else if (tag === 'ul' || tag === 'ol') {
+                flush();
+                blocks.push(this.formatHtmlList(child, 0));
+            } else if (tag === 'table') {
+                flush();
+                const rows = Array.from(child.querySelectorAll('tr')).map(row =>
+                    Array.from(row.children).map(cell => this.getHtmlInlineText(cell).replace(/\s+/g, ' ').trim()).join(' | '));
+                blocks.push(rows.filter(row => row.replace(/[|\s]/g, '')).join('\n'));
+            } else if (tag === 'pre') {
+                flush();
+                blocks.push(child.textContent);
+            } else if (tag === 'br') {
+                inline += '\n';
+            } else if (blockTags.includes(tag) || child.querySelector(blockTags.join(','))) {
+                flush();
+                this.collectHtmlBlocks(child, blocks);
+            } else {
+                inline += this.getHtmlInlineText(child);
+            }
+        }
+        
+        flush();
+    }
+
+    getHtmlInlineText(element) {
+        let text = '';
+        for (const child of Array.from(element.childNodes)) {
+            if (child.nodeType === Node.TEXT_NODE) {
+                text += child.textContent.replace(/\s+/g, ' ');
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                text += child.tagName.toLowerCase() === 'br' ? '\n' : this.getHtmlInlineText(child);
+            }
+        }
+        return text;
+    }
+
+    formatHtmlList(list, depth) {
+        const ordered = list.tagName.toLowerCase() === 'ol';
+        const start = Number(list.getAttribute('start')) || 1;
+        const indent = '  '.repeat(depth);
+        const lines = [];
+        
+        Array.from(list.children).filter(item => item.tagName.toLowerCase() === 'li').forEach((item, index) => {
+            const marker = ordered ? `${start + index}.` : '-';
+            const nested = [];
+            let text = '';
+            
+            for (const child of Array.from(item.childNodes)) {
+                const tag = child.nodeType === Node.ELEMENT_NODE ? child.tagName.toLowerCase() : '';
+                if (tag === 'ul' || tag === 'ol') {
+                    nested.push(this.formatHtmlList(child, depth + 1));
+                } else if (child.nodeType === Node.TEXT_NODE) {
+                    text += child.textContent;
+                } else if (tag) {
+                    text += ' ' + this.getHtmlInlineText(child) + ' ';
+                }
+            }
+            
+            lines.push(`${indent}${marker} ${text.replace(/\s+/g, ' ').trim()}`, ...nested);
+        });
+        
+        return lines.join('\n');
+    }
+
+    togglePasteArea() {
+        const pasteArea = document.getElementById('pasteArea');
+        const show = pasteArea.style.display === 'none';
+        pasteArea.style.display = show ? 'block' : 'none';
+        if (show) {
+            document.getElementById('pasteInput').focus();
+        }
+    }
+
+    handlePaste(e) {
+        // Rich clipboard content (emails, web pages) keeps its headings and lists
+        const html = e.clipboardData?.getData('text/html');
+        const text = e.clipboardData?.getData('text/plain');
+        this.pastedContent = html ? { html, text } : null;
+    }
+
+    usePastedText() {
+        const textarea = document.getElementById('pasteInput');
+        const text = textarea.value.trim();
+        if (!text) {
+            alert('Please paste some text first');
+            return;
+        }
+        
+        // Use the rich version only while the textarea still holds exactly what was pasted
+        const pasted = this.pastedContent;
+        const useHtml = pasted && pasted.text.trim() === text;
+        
+        this.currentFile = { name: 'pasted-text.txt', size: new Blob([text]).size };
+        this.epubStructure = null;
+        this.subtitleStructure = null;
+        this.hideOcrConfidence();
+        this.hideEncodingInfo();
+        this.currentText = useHtml ? this.extractTextFromHtml(pasted.html) : text;
+        
+        if (!this.currentText.trim()) {
+            this.currentText = text;
+        }
+        
+        console.log('Using pasted text:', this.currentText.length, 'characters', useHtml ? '(from HTML)' : '');
+        
+        this.detectSourceLanguage();
+        this.resetStyleSheet();
+        textarea.value = '';
+        this.pastedContent = null;
+        document.getElementById('pasteArea').style.display = 'none';
+        
+        this.showFileInfo(this.currentFile);
+        this.updateCostEstimate();
+        this.showConfigSection();
+    }
+
+    showFileInfo(file) {
+        document.getElementById('fileName').textContent = file.pageCount > 1
+            ? `${file.name} + ${file.pageCount - 1} more image${file.pageCount > 2 ? 's' : ''}`
+            : file.name;
+        document.getElementById('fileSize').textContent = this.formatFileSize(file.size);
+        document.getElementById('fileInfo').style.display = 'block';
+        document.getElementById('uploadArea').style.display = 'none';
+        document.getElementById('pasteArea').style.display = 'none';
+        this.showNewTranslationButton();
+    }
+
+    removeFile() {
+        this.currentFile = null;
+        this.currentText = '';
+        this.epubStructure = null;
+        this.subtitleStructure = null;
+        this.sourceLanguage = 'auto';
+        this.sourceDetection = null;
+        document.getElementById('sourceLanguage').value = 'auto';
+        this.resetStyleSheet();
+        document.getElementById('fileInfo').style.display = 'none';
+        document.getElementById('uploadArea').style.display = 'block';
+        document.getElementById('configSection').style.display = 'none';
+        document.getElementById('fileInput').value = '';
+        this.hideOcrProgress();
+        this.hideOcrConfidence();
+        this.hideEncodingInfo();
+        this.hideNewTranslationButton();
+    }
+
+    showConfigSection() {
+        document.getElementById('configSection').style.display = 'block';
+        document.getElementById('configSection').classList.add('fade-in');
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    updateSystemPrompt() {
+        const styleSelect = document.getElementById('styleSelect');
+        const promptTextarea = document.getElementById('systemPrompt');
+        const mode = document.getElementById('translationMode').value;
+        const transformationType = document.getElementById('transformationType').value;
+        
+        console.log('=== SYSTEM PROMPT UPDATE ===');
+        console.log('Mode:', mode);
+        console.log('Style selected:', styleSelect.value);
+        if (mode === 'transform') {
+            console.log('Transformation type:', transformationType);
+        }
+        
+        // Check if we should use a preset or keep custom prompt
+        const isCustomStyle = styleSelect.value === 'custom';
+        const isCustomTransform = mode === 'transform' && transformationType === 'custom-transform';
+        
+        if (!isCustomStyle && !isCustomTransform) {
+            // Use preset prompts
+            let template;
+            
+            if (mode === 'transform') {
+                // Use transformation presets
+                template = this.getTransformationPrompt();
+                if (!template) {
+                    console.error('No transformation template found for type:', transformationType);
+                    return;
+                }
+            } else {
+                // Use translation presets
+                template = this.getTranslationPrompt(styleSelect.value);
+                
+                // Ensure template names the target language
+                if (!this.promptMentionsTarget(template)) {
+                    console.error(`CRITICAL: Translation template does not contain "${this.getTargetLanguage().name}"!`, template);
+                    template = this.getTranslationPrompt('formal');
+                    console.log('Fixed template:', template);
+                }
+            }
+            
+            console.log('Template generated:', template);
+            promptTextarea.value = template;
+            console.log('Final system prompt set to:', template);
+            
+            if (mode === 'translate') {
+                console.log(`Translation prompt contains "${this.getTargetLanguage().name}"?:`, this.promptMentionsTarget(template));
+            } else {
+                console.log('Transformation prompt ready');
             }
         } else {
             // Custom prompt - don't override user's input
@@ -857,7 +2828,8 @@ class TranslationMachine {
                 
                 // If the textarea is empty, provide a helpful starting template
                 if (!promptTextarea.value.trim()) {
-                    promptTextarea.value = 'You are a professional translator. Translate the following text from its original language to English. Provide ONLY the English translation, do not include the original text.';
+                    const targetName = this.getTargetLanguage().name;
+                    promptTextarea.value = `You are a professional translator. Translate the following text from its original language to ${targetName}. Provide ONLY the ${targetName} translation, do not include the original text.`;
                     console.log('Set default custom translation prompt');
                 }
             }
@@ -905,12 +2877,13 @@ class TranslationMachine {
             translateBtn.innerHTML = '<i class="fas fa-play"></i> Start Translation';
             
             // Restore original title and placeholder for translation mode
-            document.title = 'Translation Machine - Translate to English';
+            document.title = `Translation Machine - Translate to ${this.getTargetLanguage().name}`;
             promptTextarea.placeholder = 'Custom system prompt for translation...';
         }
         
         // Update system prompt based on new mode
         this.updateSystemPrompt();
+        this.updateGlossaryLanguageWarning();
         
         // Update cost estimate when mode changes
         if (this.currentText) {
@@ -918,6 +2891,202 @@ class TranslationMachine {
         }
     }
 
+    handleTargetLanguageChange() {
+        const previousName = this.getTargetLanguage().name;
+        this.targetLanguage = document.getElementById('targetLanguage').value;
+        const targetName = this.getTargetLanguage().name;
+        console.log('Target language changed to:', targetName);
+        
+        // Presets are rebuilt for the new target; a custom prompt keeps its wording with the language name swapped
+        const promptTextarea = document.getElementById('systemPrompt');
+        if (document.getElementById('styleSelect').value === 'custom' && previousName !== targetName) {
+            promptTextarea.value = promptTextarea.value.split(previousName).join(targetName);
+        }
+        
+        this.saveSettings();
+        this.handleModeChange();
+    }
+
+    getTargetLanguage() {
+        return { code: this.targetLanguage, ...(this.targetLanguages[this.targetLanguage] || this.targetLanguages.en) };
+    }
+
+    getOutputLanguage() {
+        // Transformation mode rewrites English text, so its output stays English whatever the target selector says
+        if (document.getElementById('translationMode').value === 'transform') {
+            return { code: 'en', ...this.targetLanguages.en };
+        }
+        return this.getTargetLanguage();
+    }
+
+    getTranslationPrompt(style) {
+        const template = this.stylePresets[style] || this.stylePresets.formal;
+        const source = this.getSourceLanguageName() || 'its original language';
+        return template.replace(/\{language\}/g, this.getTargetLanguage().name).replace(/\{source\}/g, source);
+    }
+
+    promptMentionsTarget(prompt) {
+        return prompt.toLowerCase().includes(this.getTargetLanguage().name.toLowerCase());
+    }
+
+    promptNamesOtherTarget(prompt) {
+        // "to Portuguese" / "into German" naming a language other than the selected target
+        const targetName = this.getTargetLanguage().name;
+        return Object.values(this.targetLanguages)
+            .filter(language => language.name !== targetName)
+            .find(language => new RegExp(`\\b(?:to|into)\\s+${language.name}\\b`, 'i').test(prompt)) || null;
+    }
+
+    handleSourceLanguageChange() {
+        this.sourceLanguage = document.getElementById('sourceLanguage').value;
+        console.log('Source language set to:', this.getSourceLanguageName() || 'auto');
+        this.showSourceLanguage();
+        this.refreshPresetPrompt();
+    }
+
+    refreshPresetPrompt() {
+        // Renames the source language in an untouched preset prompt; a prompt edited by hand is left alone
+        const prompt = document.getElementById('systemPrompt').value;
+        if (this.isPresetPrompt(prompt)) {
+            this.updateSystemPrompt();
+        } else {
+            console.log('System prompt was edited by hand - keeping it');
+        }
+    }
+
+    getSourceLanguageName() {
+        const profile = this.languageProfiles[this.sourceLanguage];
+        return profile ? profile.name : null;
+    }
+
+    detectSourceLanguage() {
+        // Sample the start, middle and end so front matter does not decide the language on its own
+        const text = this.currentText || '';
+        const sampleSize = 4000;
+        const sample = text.length <= sampleSize * 3 ? text : [0, 0.5, 1].map(position => {
+            const start = Math.max(0, Math.min(text.length - sampleSize, Math.floor(text.length * position)));
+            return text.slice(start, start + sampleSize);
+        }).join('\n');
+        
+        this.sourceDetection = this.detectLanguage(sample);
+        this.sourceLanguage = this.sourceDetection ? this.sourceDetection.code : 'auto';
+        console.log('Detected source language:', this.sourceDetection);
+        
+        document.getElementById('sourceLanguage').value = this.sourceLanguage;
+        this.showSourceLanguage();
+        this.refreshPresetPrompt();
+    }
+
+    showSourceLanguage() {
+        const help = document.getElementById('sourceLanguageHelp');
+        const detection = this.sourceDetection;
+        
+        if (!detection) {
+            help.textContent = 'Source language could not be detected; the model will work it out';
+        } else if (detection.code === this.sourceLanguage) {
+            help.textContent = `Detected ${detection.name} (${Math.round(detection.confidence)}% confidence) - change it if this is wrong`;
+        } else {
+            help.textContent = `Detected ${detection.name}, overridden by your choice`;
+        }
+    }
+
+    getTrigramProfiles() {
+        if (!this.trigramProfiles) {
+            this.trigramProfiles = {};
+            for (const [code, profile] of Object.entries(this.languageProfiles)) {
+                if (profile.sample) {
+                    this.trigramProfiles[code] = this.countTrigrams(profile.sample);
+                }
+            }
+        }
+        return this.trigramProfiles;
+    }
+
+    countTrigrams(text) {
+        // Words are padded with spaces so word starts and endings count as trigrams of their own
+        const counts = new Map();
+        const words = text.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+        
+        for (const word of words) {
+            const padded = ` ${word} `;
+            for (let i = 0; i < padded.length - 2; i++) {
+                const trigram = padded.slice(i, i + 3);
+                counts.set(trigram, (counts.get(trigram) || 0) + 1);
+            }
+        }
+        
+        let norm = 0;
+        counts.forEach(count => { norm += count * count; });
+        return { counts, norm: Math.sqrt(norm) };
+    }
+
+    detectLanguage(text) {
+        // Returns { code, name, confidence } or null when there is too little text to tell
+        const scriptCounts = {};
+        let letters = 0;
+        for (const [script, pattern] of Object.entries(this.scriptPatterns)) {
+            scriptCounts[script] = (text.match(pattern) || []).length;
+            letters += scriptCounts[script];
+        }
+        if (letters < 20) return null;
+        
+        // Japanese mixes kana with Han characters, so any real share of kana means Japanese
+        if (scriptCounts.kana / letters > 0.1) {
+            return { code: 'ja', name: 'Japanese', confidence: 100 * (scriptCounts.kana + scriptCounts.han) / letters };
+        }
+        
+        const [script, count] = Object.entries(scriptCounts).sort((a, b) => b[1] - a[1])[0];
+        const scriptShare = 100 * count / letters;
+        const candidates = Object.entries(this.languageProfiles).filter(([, profile]) => profile.script === script);
+        
+        if (candidates.length === 1) {
+            const [code, profile] = candidates[0];
+            return { code, name: profile.name, confidence: scriptShare };
+        }
+        
+        // Several languages share the script: cosine similarity of trigram frequencies
+        const profiles = this.getTrigramProfiles();
+        const input = this.countTrigrams(text);
+        if (input.norm === 0) return null;
+        
+        const scores = candidates.map(([code, profile]) => {
+            const reference = profiles[code];
+            let dot = 0;
+            input.counts.forEach((value, trigram) => {
+                dot += value * (reference.counts.get(trigram) || 0);
+            });
+            return { code, name: profile.name, similarity: dot / (input.norm * reference.norm) };
+        }).sort((a, b) => b.similarity - a.similarity);
+        
+        const [best, runnerUp] = scores;
+        // Confidence reflects how clearly the best profile beats the runner-up
+        const margin = best.similarity > 0 ? (best.similarity - runnerUp.similarity) / best.similarity : 0;
+        return {
+            code: best.code,
+            name: best.name,
+            confidence: Math.min(100, scriptShare * Math.min(1, 0.5 + margin * 2)),
+            scores: Object.fromEntries(scores.map(score => [score.code, Number(score.similarity.toFixed(3))]))
+        };
+    }
+
+    detectOutputLanguage(text) {
+        // Used to catch answers in the wrong language; short or ambiguous outputs are given the benefit of the doubt
+        const detection = this.detectLanguage(text);
+        const target = this.targetLanguage;
+        
+        if (!detection || detection.code === target) {
+            return { detection, confidence: detection ? detection.confidence : 100, wrongLanguage: null };
+        }
+        
+        const letters = (text.match(/\p{L}/gu) || []).length;
+        const confident = detection.confidence >= 60 && letters >= 40;
+        return {
+            detection,
+            confidence: 100 - detection.confidence,
+            wrongLanguage: confident ? detection.name : null
+        };
+    }
+
     getTransformationPrompt() {
         const transformationType = document.getElementById('transformationType').value;
         
@@ -1002,12 +3171,14 @@ class TranslationMachine {
             // Translation mode checks (original logic)
             console.log('Debugging translation prompt...');
             
-            // Check if prompt contains "English"
-            if (!currentPrompt.toLowerCase().includes('english')) {
-                issues.push('❌ Prompt does not mention "English" as target language');
-                suggestions.push('Add "to English" or "in English"');
+            const targetName = this.getTargetLanguage().name;
+            
+            // Check if prompt names the target language
+            if (!this.promptMentionsTarget(currentPrompt)) {
+                issues.push(`❌ Prompt does not mention "${targetName}" as target language`);
+                suggestions.push(`Add "to ${targetName}" or "in ${targetName}"`);
             } else {
-                console.log('✅ Prompt contains "English"');
+                console.log(`✅ Prompt contains "${targetName}"`);
             }
             
             // Check if prompt says "translate"
@@ -1018,16 +3189,17 @@ class TranslationMachine {
                 console.log('✅ Prompt contains translation instruction');
             }
             
-            // Check for problematic language mentions
-            if (currentPrompt.toLowerCase().includes('portuguese') || currentPrompt.toLowerCase().includes('português')) {
-                issues.push('❌ Prompt mentions Portuguese as target (should only be source)');
-                suggestions.push('Remove Portuguese as target language');
+            // Check for a different target language left over in the prompt
+            const otherTarget = this.promptNamesOtherTarget(currentPrompt);
+            if (otherTarget) {
+                issues.push(`❌ Prompt asks for ${otherTarget.name} but the target language is ${targetName}`);
+                suggestions.push(`Remove ${otherTarget.name} as target language`);
             }
             
             // Check if prompt says not to include original
             if (!currentPrompt.toLowerCase().includes('only') || !currentPrompt.toLowerCase().includes('not include')) {
                 issues.push('❌ Prompt may allow original text in response');
-                suggestions.push('Add "Provide ONLY the English translation, do not include the original text"');
+                suggestions.push(`Add "Provide ONLY the ${targetName} translation, do not include the original text"`);
             } else {
                 console.log('✅ Prompt instructs to exclude original text');
             }
@@ -1048,7 +3220,7 @@ class TranslationMachine {
             promptStatus.style.display = 'block';
             const successMessage = mode === 'transform' 
                 ? '✅ System prompt looks good for text transformation!'
-                : '✅ System prompt looks good for English translation!';
+                : `✅ System prompt looks good for ${this.getTargetLanguage().name} translation!`;
             promptStatusText.innerHTML = successMessage;
             setTimeout(() => {
                 promptStatus.style.display = 'none';
@@ -1066,7 +3238,7 @@ class TranslationMachine {
         if (mode === 'transform') {
             fixedPrompt = 'Transform the following English text as requested. Provide only the transformed text, do not include the original text or explanations.';
         } else {
-            fixedPrompt = 'You are a professional translator. Translate the following text from its original language to English. Use a formal, professional tone. Provide ONLY the English translation, do not include the original text. The output must be in English.';
+            fixedPrompt = this.getTranslationPrompt('formal');
         }
         
         promptTextarea.value = fixedPrompt;
@@ -1076,7 +3248,7 @@ class TranslationMachine {
         const promptStatusText = document.getElementById('promptStatusText');
         promptStatus.style.display = 'block';
         
-        const modeText = mode === 'transform' ? 'text transformation' : 'English translation';
+        const modeText = mode === 'transform' ? 'text transformation' : `${this.getTargetLanguage().name} translation`;
         promptStatusText.innerHTML = `✅ System prompt has been fixed for ${modeText}!`;
         
         setTimeout(() => {
@@ -1089,29 +3261,207 @@ class TranslationMachine {
         }
     }
 
-    // Rough token estimation (approximate)
+    getTokenEncoding(model = document.getElementById('modelSelect').value) {
+        // GPT-4o and newer OpenAI models use o200k_base, GPT-4 Turbo and older cl100k_base. Other providers do not
+        // publish their tokenizers, so cl100k_base stands in for them
+        const info = this.getModelInfo(model);
+        if (info.encoding) return info.encoding;
+        return /(gpt-?4o|gpt-?4\.1|gpt-?5|(^|[^a-z])o[134])/i.test(model) ? 'o200k_base' : 'cl100k_base';
+    }
+
+    getTokenCacheKey(text, encoding = this.getTokenEncoding()) {
+        return `${encoding}:${text.length}:${this.hashText(text)}`;
+    }
+
     estimateTokens(text) {
-        // More conservative approximation: 1 token ≈ 0.75 words ≈ 3.5 characters
-        // This accounts for punctuation and special characters
-        return Math.ceil(text.length / 3.5);
+        // Exact BPE count once tokenizer-worker.js has counted this text, a per-script approximation until then
+        const counted = this.tokenCounts.get(this.getTokenCacheKey(text));
+        return counted !== undefined ? counted : this.approximateTokens(text);
     }
 
-    updateCostEstimate() {
-        if (!this.currentText) return;
+    approximateTokens(text) {
+        // CJK characters are about one token each, other non-Latin scripts about two characters per token;
+        // Latin text uses the conservative 3.5 characters per token
+        const cjk = (text.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/g) || []).length;
+        const otherScripts = (text.match(/[\u0370-\u03ff\u0400-\u04ff\u0590-\u06ff\u0750-\u077f\u0900-\u097f\u0e00-\u0e7f]/g) || []).length;
+        return Math.ceil(cjk * 1.1 + otherScripts / 2 + (text.length - cjk - otherScripts) / 3.5);
+    }
 
-        const model = document.getElementById('modelSelect').value;
-        const systemPrompt = document.getElementById('systemPrompt').value;
-        
-        const inputTokens = this.estimateTokens(this.currentText + systemPrompt);
-        const outputTokens = Math.ceil(inputTokens * 1.2); // Estimate output tokens
+    countTokens(texts, encoding = this.getTokenEncoding()) {
+        // Counts texts in the tokenizer worker and caches the results for estimateTokens; resolves when they are in
+        const missing = [...new Set(texts)].filter(text => text && !this.tokenCounts.has(this.getTokenCacheKey(text, encoding)));
+        if (missing.length === 0 || !this.isTokenizerAvailable(encoding)) {
+            return Promise.resolve();
+        }
         
-        const pricing = this.modelPricing[model];
-        const inputCost = (inputTokens / 1000) * pricing.input;
-        const outputCost = (outputTokens / 1000) * pricing.output;
-        const totalCost = inputCost + outputCost;
+        if (!this.tokenizer.worker) {
+            this.tokenizer.worker = new Worker('tokenizer-worker.js');
+            this.tokenizer.worker.onmessage = this.handleTokenizerMessage.bind(this);
+            this.tokenizer.worker.onerror = (event) => {
+                // The worker script could not load; stay on the approximation from now on
+                console.warn('Tokenizer worker failed, using approximate token counts:', event.message);
+                this.tokenizer.workerFailed = true;
+                this.tokenizer.requests.forEach(request => request.resolve());
+                this.tokenizer.requests.clear();
+            };
+        }
+        
+        return new Promise(resolve => {
+            const id = ++this.tokenizer.nextId;
+            this.tokenizer.requests.set(id, { resolve, texts: missing, encoding });
+            this.tokenizer.worker.postMessage({ id, encoding, texts: missing });
+        });
+    }
+
+    isTokenizerAvailable(encoding = this.getTokenEncoding()) {
+        return typeof Worker !== 'undefined' && !this.tokenizer.workerFailed && !this.tokenizer.failedEncodings.has(encoding);
+    }
+
+    handleTokenizerMessage(event) {
+        const { id, counts, error } = event.data;
+        const request = this.tokenizer.requests.get(id);
+        if (!request) return;
+        this.tokenizer.requests.delete(id);
+        
+        if (error) {
+            // Usually the encoding's bundle could not be downloaded; other encodings may still work
+            console.warn(`Tokenizer could not count ${request.encoding} tokens, using approximate token counts:`, error);
+            this.tokenizer.failedEncodings.add(request.encoding);
+        } else {
+            if (this.tokenCounts.size > 100000) {
+                this.tokenCounts.clear(); // keep the cache bounded across many documents
+            }
+            request.texts.forEach((text, i) => {
+                this.tokenCounts.set(this.getTokenCacheKey(text, request.encoding), counts[i]);
+            });
+        }
+        request.resolve();
+    }
+
+    getTokenCountTexts() {
+        // The pieces chunking and the cost estimate measure: the system prompt, the whole text, every paragraph,
+        // and the sentences of paragraphs long enough to be split
+        const systemPrompt = document.getElementById('systemPrompt').value;
+        const sources = this.subtitleStructure
+            ? this.subtitleStructure.cues.map(cue => cue.text)
+            : this.epubStructure ? this.epubStructure.sections.map(section => this.getEpubSectionText(section)) : [this.currentText];
+        
+        const texts = [systemPrompt, this.currentText];
+        for (const source of sources) {
+            for (const paragraph of source.split(/\n\s*\n/)) {
+                texts.push(paragraph);
+                if (this.approximateTokens(paragraph) > 500) {
+                    texts.push(...paragraph.split(/(?<=[.!?])\s+/));
+                }
+            }
+        }
+        return texts;
+    }
+
+    isTokenCountExact() {
+        const encoding = this.getTokenEncoding();
+        return [document.getElementById('systemPrompt').value, this.currentText]
+            .every(text => !text || this.tokenCounts.has(this.getTokenCacheKey(text, encoding)));
+    }
+
+    refreshTokenCounts() {
+        // Count the document in the background and redraw the estimate with exact numbers
+        if (this.isTokenCountExact() || !this.isTokenizerAvailable()) return;
+        
+        const texts = this.getTokenCountTexts();
+        this.countTokens(texts).then(() => {
+            if (this.isTokenCountExact()) {
+                this.updateCostEstimate();
+            }
+        });
+    }
+
+    showTokenCountMethod() {
+        const encoding = this.getTokenEncoding();
+        const exactProvider = ['openai', 'azure'].includes(this.provider);
+        let method;
+        if (this.isTokenCountExact()) {
+            method = exactProvider ? `Exact (${encoding})` : `${encoding} approximation`;
+        } else {
+            method = this.isTokenizerAvailable(encoding) ? 'Approximate - counting tokens...' : `Approximate (${encoding} tokenizer unavailable)`;
+        }
+        document.getElementById('tokenCountMethod').textContent = method;
+    }
+
+    getEstimateAccuracyHtml() {
+        // Pre-flight estimate against what the job actually used, plus how close local prompt counts were to the API's
+        const state = this.translationState;
+        const estimate = state.estimate;
+        if (!estimate || state.isRunning || !state.tokensUsed) return '';
+        
+        const percent = (estimated, actual) => {
+            const difference = ((estimated - actual) / actual) * 100;
+            return `${difference >= 0 ? '+' : ''}${difference.toFixed(1)}%`;
+        };
+        const lines = [
+            `Tokens: estimated ${estimate.tokens.toLocaleString()}, used ${state.tokensUsed.toLocaleString()} (${percent(estimate.tokens, state.tokensUsed)})`
+        ];
+        if (state.costSoFar > 0) {
+            lines.push(`Cost: estimated $${estimate.cost.toFixed(4)}, actual $${state.costSoFar.toFixed(4)} (${percent(estimate.cost, state.costSoFar)})`);
+        }
+        const accuracy = state.tokenAccuracy;
+        if (accuracy && accuracy.actualPrompt > 0) {
+            lines.push(`Prompt tokens counted locally: ${accuracy.estimatedPrompt.toLocaleString()} vs ${accuracy.actualPrompt.toLocaleString()} reported by the API over ${accuracy.requests} requests (${percent(accuracy.estimatedPrompt, accuracy.actualPrompt)})`);
+        }
+        console.log('Estimate accuracy:', lines.join(' | '));
+        
+        return `
+            <div class="estimate-accuracy">
+                <strong><i class="fas fa-balance-scale"></i> Estimate vs actual</strong>
+                <ul>${lines.map(line => `<li>${this.escapeHtml(line)}</li>`).join('')}</ul>
+            </div>
+        `;
+    }
+
+    updateCostEstimate() {
+        if (!this.currentText) return null;
+
+        const model = document.getElementById('modelSelect').value;
+        const systemPrompt = document.getElementById('systemPrompt').value;
+        this.refreshTokenCounts();
+        
+        let inputTokens = this.estimateTokens(this.currentText) + this.estimateTokens(systemPrompt);
+        let outputTokens = Math.ceil(inputTokens * 1.2); // Estimate output tokens
+        
+        if (this.isContextEnabled()) {
+            const context = this.estimateContextTokens(this.estimateTokens(this.currentText));
+            inputTokens += context.input;
+            outputTokens += context.output;
+        }
+        
+        // The style sheet goes out with every chunk
+        const styleSheetPrompt = this.buildStyleSheetPrompt();
+        if (styleSheetPrompt) {
+            const chunkCount = Math.max(1, Math.ceil(this.estimateTokens(this.currentText) / parseInt(document.getElementById('chunkSize').value)));
+            inputTokens += chunkCount * this.estimateTokens(styleSheetPrompt);
+        }
+        
+        // Exact memory matches are not sent at all; similar ones add their suggestion to the input
+        const memory = this.estimateMemoryUse(model);
+        inputTokens += memory.fuzzyTokens - memory.exactTokens;
+        outputTokens -= Math.ceil(memory.exactTokens * 1.2);
+        
+        const pricing = this.getModelInfo(model);
+        const inputCost = (inputTokens / 1000) * pricing.input;
+        const outputCost = (outputTokens / 1000) * pricing.output;
+        const totalCost = inputCost + outputCost;
+        const savings = (memory.exactTokens / 1000) * pricing.input + (Math.ceil(memory.exactTokens * 1.2) / 1000) * pricing.output;
         
         document.getElementById('estimatedTokens').textContent = inputTokens.toLocaleString();
-        document.getElementById('estimatedCost').textContent = '$' + totalCost.toFixed(4);
+        const { cap } = this.getBudget();
+        document.getElementById('estimatedCost').textContent = '$' + totalCost.toFixed(4) +
+            (cap !== null && totalCost > cap ? ` (over your $${cap.toFixed(2)} cap - the job will pause there)` : '');
+        document.getElementById('memoryEstimateItem').style.display = memory.exact + memory.fuzzy > 0 ? 'flex' : 'none';
+        document.getElementById('memoryEstimate').textContent =
+            `${memory.exact}/${memory.chunks} chunks reused (saves $${savings.toFixed(4)})${memory.fuzzy > 0 ? ` · ${memory.fuzzy} similar` : ''}`;
+        this.showTokenCountMethod();
+        
+        return { tokens: inputTokens + outputTokens, cost: totalCost };
     }
 
     async startTranslation() {
@@ -1119,13 +3469,7 @@ class TranslationMachine {
 
         // Create new session
         this.translationState.sessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        this.translationState.config = {
-            model: document.getElementById('modelSelect').value,
-            mode: document.getElementById('translationMode').value,
-            style: document.getElementById('styleSelect').value,
-            transformationType: document.getElementById('transformationType').value,
-            systemPrompt: document.getElementById('systemPrompt').value
-        };
+        this.translationState.config = this.getCurrentConfig();
 
         this.translationState.isRunning = true;
         this.translationState.isPaused = false;
@@ -1133,7 +3477,23 @@ class TranslationMachine {
         this.translationState.results = [];
         this.translationState.tokensUsed = 0;
         this.translationState.costSoFar = 0;
+        this.translationState.context = { summary: '', summarizedThrough: -1 };
+        this.translationState.glossaryViolations = {};
+        this.translationState.repairedChunks = {};
+        this.translationState.memoryHits = 0;
+        this.translationState.memorySaved = 0;
+        this.translationState.tokenAccuracy = { estimatedPrompt: 0, actualPrompt: 0, requests: 0 };
+        this.translationState.spend = { sourceTokens: 0, warned: false };
+
+        const glossaryMismatch = this.getGlossaryLanguageMismatch();
+        if (glossaryMismatch) {
+            console.warn(`Glossary "${this.activeGlossary}" targets ${glossaryMismatch.glossary}, output is ${glossaryMismatch.output.code} - glossary skipped`);
+        }
 
+        // Chunk on exact token counts; the pre-flight estimate is kept to report its accuracy at the end
+        await this.countTokens(this.getTokenCountTexts());
+        this.memoryUsage = null; // Scan the memory afresh; the result then stands for the whole job
+        this.translationState.estimate = this.updateCostEstimate();
         this.setupChunks();
         this.showTranslationSection();
         this.updateProgress();
@@ -1144,12 +3504,68 @@ class TranslationMachine {
         await this.processChunks();
     }
 
-    validateSettings() {
-        if (!this.apiKey) {
-            alert('Please enter your OpenAI API key in Settings');
-            this.openSettings();
-            return false;
+    getCurrentConfig() {
+        return {
+            model: document.getElementById('modelSelect').value,
+            mode: document.getElementById('translationMode').value,
+            targetLanguage: this.targetLanguage,
+            style: document.getElementById('styleSelect').value,
+            transformationType: document.getElementById('transformationType').value,
+            useContext: this.isContextEnabled(),
+            glossary: this.activeGlossary,
+            useMemory: this.isMemoryEnabled(),
+            ...this.getCurrentBudgetConfig(),
+            styleSheet: document.getElementById('styleSheet').value,
+            systemPrompt: document.getElementById('systemPrompt').value
+        };
+    }
+
+    applyConfig(config) {
+        const modelSelect = document.getElementById('modelSelect');
+        modelSelect.value = config.model || '';
+        if (!modelSelect.value && modelSelect.options.length > 0) {
+            // The saved model belongs to another provider; fall back to this provider's first model
+            modelSelect.selectedIndex = 0;
+        }
+        document.getElementById('translationMode').value = config.mode || 'translate';
+        this.targetLanguage = this.targetLanguages[config.targetLanguage] ? config.targetLanguage : 'en';
+        document.getElementById('targetLanguage').value = this.targetLanguage;
+        document.getElementById('styleSelect').value = config.style || 'formal';
+        document.getElementById('transformationType').value = config.transformationType || 'shakespearean-modern';
+        document.getElementById('contextMode').value = config.useContext ? 'on' : 'off';
+        document.getElementById('memoryMode').value = config.useMemory === false ? 'off' : 'on';
+        document.getElementById('budgetCap').value = config.budgetCap || '';
+        document.getElementById('budgetWarning').value = config.budgetWarning || '';
+        document.getElementById('styleSheet').value = config.styleSheet || '';
+        this.activeGlossary = this.glossaries[config.glossary] ? config.glossary : '';
+        document.getElementById('glossarySelect').value = this.activeGlossary;
+        this.handleModeChange(); // Update UI based on mode
+        this.updateSystemPrompt();
+        // Restore custom and hand-edited prompts last so the preset does not replace them; untouched preset
+        // prompts are regenerated so they name this document's detected source language
+        const isCustomPrompt = config.style === 'custom' || (config.mode === 'transform' && config.transformationType === 'custom-transform');
+        if (config.systemPrompt && (isCustomPrompt || !this.isPresetPrompt(config.systemPrompt))) {
+            document.getElementById('systemPrompt').value = config.systemPrompt;
+        }
+    }
+
+    isPresetPrompt(prompt) {
+        // True when the prompt is the current style's preset, filled in with any source language
+        if (document.getElementById('translationMode').value === 'transform') {
+            return prompt === this.getTransformationPrompt();
         }
+        
+        const style = document.getElementById('styleSelect').value;
+        const template = this.stylePresets[style] || this.stylePresets.formal;
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = template.split(/(\{language\}|\{source\})/)
+            .map(part => part === '{language}' ? escape(this.getTargetLanguage().name) : part === '{source}' ? '.+?' : escape(part))
+            .join('');
+        return new RegExp(`^${pattern}$`).test(prompt);
+    }
+
+    validateSettings() {
+        if (!this.checkProviderSettings()) return false;
 
         if (!this.currentText) {
             alert('Please upload a file first');
@@ -1160,78 +3576,112 @@ class TranslationMachine {
     }
 
     setupChunks() {
+        const { chunks, layout } = this.buildChunks();
+        this.translationState.chunks = chunks;
+        
+        // Only the chunks being translated may set where translations are written back
+        if (this.subtitleStructure) {
+            this.subtitleStructure.chunkCues = layout.chunkCues;
+        }
+        if (this.epubStructure) {
+            this.epubStructure.chunkBlocks = layout.chunkBlocks;
+        }
+        
+        document.getElementById('chunksProgress').textContent = `0 / ${this.translationState.chunks.length}`;
+        
+        console.log('Created', this.translationState.chunks.length, 'chunks');
+    }
+
+    buildChunks() {
+        // Pure: returns the chunks and, for EPUB and subtitles, how they map back to the document. Cost estimates and
+        // the pre-analysis call this too, so it must not touch the mapping of a translation that is running
         const chunkSize = parseInt(document.getElementById('chunkSize').value);
+        const model = document.getElementById('modelSelect').value;
         const systemPrompt = document.getElementById('systemPrompt').value;
         const systemPromptTokens = this.estimateTokens(systemPrompt);
         
         // Reserve tokens for system prompt and ensure we don't exceed output limits
         // Use conservative chunk size accounting for translation expansion (typically 1.2-1.5x)
-        const maxInputTokens = Math.min(chunkSize - systemPromptTokens, 8000); // Cap input to 8K tokens
+        const maxInputTokens = Math.min(chunkSize - systemPromptTokens, this.getModelChunkLimit(model, systemPromptTokens));
         
         console.log('Chunk setup - System prompt tokens:', systemPromptTokens, 'Max input tokens per chunk:', maxInputTokens);
         
-        this.translationState.chunks = this.chunkText(this.currentText, maxInputTokens);
-        
-        document.getElementById('chunksProgress').textContent = `0 / ${this.translationState.chunks.length}`;
-        
-        console.log('Created', this.translationState.chunks.length, 'chunks');
+        if (this.subtitleStructure) {
+            return this.buildSubtitleChunks(maxInputTokens);
+        }
+        if (this.epubStructure) {
+            return this.buildEpubChunks(maxInputTokens);
+        }
+        return { chunks: this.chunkText(this.currentText, maxInputTokens), layout: {} };
     }
 
     chunkText(text, maxTokens) {
+        // Token counts are summed piece by piece (paragraphs, then sentences, then words) so every piece is
+        // tokenized once; BPE tokens do not cross the whitespace between pieces, so the sums stay accurate
         const chunks = [];
         const paragraphs = text.split(/\n\s*\n/);
         let currentChunk = '';
+        let currentTokens = 0;
         
         for (const paragraph of paragraphs) {
-            const testChunk = currentChunk + (currentChunk ? '\n\n' : '') + paragraph;
+            const paragraphTokens = this.estimateTokens(paragraph);
             
-            if (this.estimateTokens(testChunk) > maxTokens && currentChunk) {
-                chunks.push(currentChunk.trim());
+            if (currentChunk && currentTokens + 1 + paragraphTokens > maxTokens) {
+                chunks.push({ text: currentChunk.trim(), tokens: currentTokens });
                 currentChunk = paragraph;
+                currentTokens = paragraphTokens;
                 
                 // If a single paragraph is too large, split it further
-                if (this.estimateTokens(paragraph) > maxTokens) {
+                if (paragraphTokens > maxTokens) {
                     const sentences = paragraph.split(/(?<=[.!?])\s+/);
                     let sentenceChunk = '';
+                    let sentenceTokens = 0;
                     
                     for (const sentence of sentences) {
-                        const testSentence = sentenceChunk + (sentenceChunk ? ' ' : '') + sentence;
+                        const tokens = this.estimateTokens(sentence);
                         
-                        if (this.estimateTokens(testSentence) > maxTokens && sentenceChunk) {
-                            chunks.push(sentenceChunk.trim());
+                        if (sentenceChunk && sentenceTokens + tokens > maxTokens) {
+                            chunks.push({ text: sentenceChunk.trim(), tokens: sentenceTokens });
                             sentenceChunk = sentence;
+                            sentenceTokens = tokens;
                         } else {
-                            sentenceChunk = testSentence;
+                            sentenceChunk += (sentenceChunk ? ' ' : '') + sentence;
+                            sentenceTokens += tokens;
                         }
                     }
                     
                     currentChunk = sentenceChunk;
+                    currentTokens = sentenceTokens;
                 }
             } else {
-                currentChunk = testChunk;
+                currentTokens += (currentChunk ? 1 : 0) + paragraphTokens;
+                currentChunk += (currentChunk ? '\n\n' : '') + paragraph;
             }
         }
         
         if (currentChunk) {
-            chunks.push(currentChunk.trim());
+            chunks.push({ text: currentChunk.trim(), tokens: currentTokens });
         }
         
         // Final validation - split any remaining chunks that are too large
         const validatedChunks = [];
         for (const chunk of chunks) {
-            if (this.estimateTokens(chunk) > maxTokens) {
-                // Force split by character count as last resort
-                const words = chunk.split(' ');
+            if (chunk.tokens > maxTokens) {
+                // Force split by words as last resort
+                const words = chunk.text.split(' ');
                 let wordChunk = '';
+                let wordTokens = 0;
                 
                 for (const word of words) {
-                    const testWord = wordChunk + (wordChunk ? ' ' : '') + word;
+                    const tokens = this.approximateTokens(' ' + word);
                     
-                    if (this.estimateTokens(testWord) > maxTokens && wordChunk) {
+                    if (wordChunk && wordTokens + tokens > maxTokens) {
                         validatedChunks.push(wordChunk.trim());
                         wordChunk = word;
+                        wordTokens = tokens;
                     } else {
-                        wordChunk = testWord;
+                        wordChunk += (wordChunk ? ' ' : '') + word;
+                        wordTokens += tokens;
                     }
                 }
                 
@@ -1239,22 +3689,157 @@ class TranslationMachine {
                     validatedChunks.push(wordChunk.trim());
                 }
             } else {
-                validatedChunks.push(chunk);
+                validatedChunks.push(chunk.text);
             }
         }
         
         return validatedChunks;
     }
 
-    getMaxTokensForModel(model, inputText) {
-        // Model limits for completion tokens (output)
-        const modelLimits = {
-            'gpt-4o-mini': 16384,
-            'gpt-4o': 16384, 
-            'gpt-4-turbo': 4096
+    splitChunkInHalf(text) {
+        // Splits at the paragraph, subtitle cue or sentence boundary nearest the middle; null when there is none
+        const boundaries = [
+            { pattern: /\n\s*\n/g, separator: '\n\n' },
+            { pattern: /\n(?=\s*\[\d+\])/g, separator: '\n' },
+            { pattern: /(?<=[.!?。！？])\s+/g, separator: ' ' }
+        ];
+        
+        for (const { pattern, separator } of boundaries) {
+            let best = null;
+            for (const match of text.matchAll(pattern)) {
+                const distance = Math.abs(match.index - text.length / 2);
+                if (match.index > 0 && match.index + match[0].length < text.length && (!best || distance < best.distance)) {
+                    best = { index: match.index, length: match[0].length, distance };
+                }
+            }
+            if (best) {
+                return {
+                    parts: [text.slice(0, best.index).trim(), text.slice(best.index + best.length).trim()],
+                    separator
+                };
+            }
+        }
+        return null;
+    }
+
+    async repairTruncatedChunk({ text, truncated, model, maxTokens, systemPrompt, onDelta, context, depth }) {
+        // The answer stopped at max_tokens, so the end of the chunk is missing. When our own output estimate was the
+        // limit, ask for the rest; when the model's output limit was reached, translate the chunk in two halves.
+        const split = depth < this.truncationSettings.maxSplitDepth ? this.splitChunkInHalf(text) : null;
+        let result = null;
+        let spentTokens = truncated.usage.total_tokens;
+        let spentCost = truncated.cost;
+        
+        if (maxTokens < this.getCompletionLimit(model, systemPrompt + text) || !split) {
+            const continued = await this.continueTruncatedTranslation({ text, partial: truncated.text, model, systemPrompt, onDelta });
+            spentTokens += continued.tokensUsed;
+            spentCost += continued.cost;
+            if (continued.complete) {
+                result = { text: continued.text, tokensUsed: 0, cost: 0, repaired: 'continued' };
+            }
+        }
+        
+        if (!result) {
+            if (!split) {
+                throw new ApiError('context_length', 'Completion truncated at max_tokens and the chunk cannot be split further');
+            }
+            console.log(`✂️ Re-splitting truncated chunk into two parts (depth ${depth + 1})`);
+            result = await this.translateHalves(split, onDelta, context, depth);
+        }
+        
+        // The truncated answer and any continuation attempts were paid for too
+        result.tokensUsed += spentTokens;
+        result.cost += spentCost;
+        return result;
+    }
+
+    async translateHalves(split, onDelta, context, depth) {
+        const [firstText, secondText] = split.parts;
+        const first = await this.translateChunk(firstText, onDelta, context, depth + 1);
+        const second = await this.translateChunk(secondText, onDelta && (partial => onDelta(first.text + split.separator + partial)), context, depth + 1);
+        return {
+            text: first.text + split.separator + second.text,
+            tokensUsed: first.tokensUsed + second.tokensUsed,
+            cost: first.cost + second.cost,
+            repaired: 'split'
         };
+    }
+
+    async continueTruncatedTranslation({ text, partial, model, systemPrompt, onDelta }) {
+        let translated = partial;
+        let tokensUsed = 0;
+        let cost = 0;
+        
+        for (let round = 1; round <= this.truncationSettings.maxContinuations; round++) {
+            console.log(`↪️ Requesting continuation ${round} of a truncated translation`);
+            const system = systemPrompt + '\n\n' + this.continuationPromptSuffix;
+            const user = `SOURCE TEXT:\n${text}\n\nPROCESSED TEXT SO FAR (cut off here):\n${this.getTextTail(translated)}`;
+            const completion = await this.requestCompletion({
+                model,
+                system,
+                user,
+                temperature: 0.1,
+                maxTokens: this.getCompletionLimit(model, system + user),
+                onDelta: onDelta && (delta => onDelta(this.joinContinuation(translated, delta)))
+            });
+            
+            tokensUsed += completion.usage.total_tokens;
+            cost += completion.cost;
+            translated = this.joinContinuation(translated, completion.text);
+            
+            if (completion.finishReason !== 'length') {
+                console.log(`✅ Truncated translation completed after ${round} continuation(s)`);
+                return { complete: true, text: translated, tokensUsed, cost };
+            }
+        }
         
-        const maxCompletionTokens = modelLimits[model] || 4096;
+        console.warn('Continuation kept hitting max_tokens');
+        return { complete: false, text: translated, tokensUsed, cost };
+    }
+
+    joinContinuation(partial, continuation) {
+        // A cut inside a word continues without a space; otherwise keep the model's leading whitespace or add one
+        if (/^\s/.test(continuation) || /\s$/.test(partial)) return partial + continuation;
+        return /[\p{L}\p{N}]$/u.test(partial) && /^[\p{Ll}\p{N}]/u.test(continuation) ? partial + continuation : partial + ' ' + continuation;
+    }
+
+    markRepairedChunk(index, repair) {
+        const state = this.translationState;
+        if (!state.repairedChunks) {
+            state.repairedChunks = {};
+        }
+        if (repair) {
+            console.log(`Chunk ${index + 1} was truncated and repaired (${repair})`);
+            state.repairedChunks[index] = repair;
+        } else {
+            delete state.repairedChunks[index];
+        }
+    }
+
+    getRepairReportHtml() {
+        const repaired = this.translationState.repairedChunks || {};
+        const indices = Object.keys(repaired).map(Number).sort((a, b) => a - b);
+        if (indices.length === 0) return '';
+        
+        const labels = { continued: 'completed with a continuation request', split: 're-translated in smaller parts' };
+        return `
+            <div class="repair-report">
+                <strong><i class="fas fa-tools"></i> Repaired truncated chunks:</strong>
+                <ul>${indices.map(index => `<li>Chunk ${index + 1}: answer hit the token limit, ${labels[repaired[index]]}</li>`).join('')}</ul>
+            </div>
+        `;
+    }
+
+    getCompletionLimit(model, promptText) {
+        // The model's output limit, or what is left of its context window after the prompt if that is less
+        const info = this.getModelInfo(model);
+        const promptTokens = this.estimateTokens(promptText) + this.chatOverheadTokens;
+        return Math.max(1, Math.min(info.maxOutput, info.contextWindow - promptTokens));
+    }
+
+    getMaxTokensForModel(model, inputText) {
+        // Model limit for completion tokens (output)
+        const maxCompletionTokens = this.getCompletionLimit(model, document.getElementById('systemPrompt').value + inputText);
         
         // Estimate input tokens
         const inputTokens = this.estimateTokens(inputText);
@@ -1265,7 +3850,7 @@ class TranslationMachine {
         const safeMaxTokens = Math.min(estimatedOutputTokens, maxCompletionTokens);
         
         // Ensure we have at least 1000 tokens for output, but not more than the limit
-        const finalMaxTokens = Math.max(1000, Math.min(safeMaxTokens, maxCompletionTokens));
+        const finalMaxTokens = Math.min(Math.max(1000, safeMaxTokens), maxCompletionTokens);
         
         console.log(`Model: ${model}, Input tokens: ${inputTokens}, Max completion tokens: ${finalMaxTokens}`);
         
@@ -1276,79 +3861,64 @@ class TranslationMachine {
         document.getElementById('translationSection').style.display = 'block';
         document.getElementById('translationSection').classList.add('fade-in');
         document.getElementById('previewContent').innerHTML = '<div class="preview-placeholder">Starting translation...</div>';
+        document.getElementById('exportEpubBtn').style.display = this.epubStructure ? 'inline-flex' : 'none';
+        document.getElementById('exportSubtitlesBtn').style.display = this.subtitleStructure ? 'inline-flex' : 'none';
+        if (this.subtitleStructure) {
+            document.getElementById('exportSubtitlesLabel').textContent = `Export ${this.subtitleStructure.format.toUpperCase()}`;
+        }
         this.showNewTranslationButton(); // Allow starting fresh even during translation
     }
 
     async processChunks() {
         const totalChunks = this.translationState.chunks.length;
-        console.log(`Starting translation of ${totalChunks} chunks`);
+        this.applyMemoryMatches();
+        await this.countTokens(this.translationState.chunks.filter((chunk, i) => !this.translationState.results[i]));
         
-        for (let i = this.translationState.currentChunk; i < totalChunks; i++) {
-            if (!this.translationState.isRunning) break;
-            
-            while (this.translationState.isPaused) {
-                await this.sleep(100);
-            }
-            
-            console.log(`Processing chunk ${i + 1}/${totalChunks}`);
-            console.log('Chunk content preview:', this.translationState.chunks[i].substring(0, 100) + '...');
-            
-            let retryCount = 0;
-            const maxRetries = 3;
-            let success = false;
-            
-            while (!success && retryCount < maxRetries && this.translationState.isRunning) {
+        // Chunks without a result still need translating; this also resumes stopped or restored sessions
+        const pending = [];
+        for (let i = 0; i < totalChunks; i++) {
+            if (!this.translationState.results[i]) pending.push(i);
+        }
+        
+        // Context mode needs each chunk's predecessor translated first, so it runs one chunk at a time
+        const concurrency = this.isContextEnabled() ? 1 : Math.max(1, Math.min(this.getConcurrency(), pending.length));
+        console.log(`Starting translation of ${pending.length}/${totalChunks} chunks with ${concurrency} parallel requests`);
+        
+        // Each worker claims the next pending chunk; results are written to their own slot, so order is kept.
+        // Chunks in flight keep their projected cost reserved so parallel workers cannot overrun the cap together.
+        let next = 0;
+        let reserved = 0;
+        const worker = async () => {
+            while (this.translationState.isRunning && next < pending.length) {
+                while (this.translationState.isPaused) {
+                    await this.sleep(100);
+                }
+                if (!this.translationState.isRunning) break;
+                
+                const index = pending[next];
+                const projected = this.projectChunkCost(index);
+                if (this.exceedsBudget(reserved + projected)) {
+                    await this.pauseForBudget(reserved + projected);
+                    continue;
+                }
+                
+                next++;
+                reserved += projected;
                 try {
-                    const result = await this.translateChunk(this.translationState.chunks[i]);
-                    this.translationState.results[i] = result.text;
-                    this.translationState.tokensUsed += result.tokensUsed;
-                    this.translationState.costSoFar += result.cost;
-                    this.translationState.currentChunk = i + 1;
-                    
-                    console.log(`Chunk ${i + 1} translated successfully. Result preview:`, result.text.substring(0, 100) + '...');
-                    
-                    success = true;
-                    
-                    this.updateProgress();
-                    this.updatePreview();
-                    
-                    // Save progress every few chunks
-                    if ((i + 1) % 3 === 0) {
-                        await this.saveSession();
-                    }
-                    
-                } catch (error) {
-                    retryCount++;
-                    console.error(`Translation error for chunk ${i + 1} (attempt ${retryCount}):`, error);
-                    
-                    if (error.name === 'AbortError') {
-                        console.error(`Request timeout for chunk ${i + 1}`);
-                        this.translationState.results[i] = `[TIMEOUT ERROR: Request took too long - ${this.translationState.chunks[i].substring(0, 200)}...]`;
-                        success = true; // Don't retry timeout errors
-                    } else if (error.message.includes('rate limit') || error.message.includes('Rate limit')) {
-                        const waitTime = Math.min(5000 * retryCount, 30000); // Wait 5s, 10s, 15s...
-                        console.log(`Rate limited. Waiting ${waitTime/1000} seconds before retry...`);
-                        await this.sleep(waitTime);
-                    } else if (error.message.includes('max_tokens')) {
-                        // If still hitting token limits, mark chunk as failed and continue
-                        console.error(`Token limit error on chunk ${i + 1}, marking as failed`);
-                        this.translationState.results[i] = `[TRANSLATION FAILED - CHUNK TOO LARGE: ${this.translationState.chunks[i].substring(0, 200)}...]`;
-                        success = true; // Don't retry token limit errors
-                    } else if (retryCount >= maxRetries) {
-                        console.error(`Failed to translate chunk ${i + 1} after ${maxRetries} attempts`);
-                        this.translationState.results[i] = `[TRANSLATION FAILED: ${this.translationState.chunks[i].substring(0, 200)}...]`;
-                        success = true; // Move on to next chunk
-                    } else {
-                        // Wait before retry for other errors
-                        await this.sleep(1000 * retryCount);
-                    }
+                    await this.processChunk(index);
+                } finally {
+                    reserved -= projected;
                 }
+                this.checkSpendWarning();
             }
-            
-            if (!success) {
-                console.error(`Chunk ${i + 1} failed completely, inserting original text`);
-                this.translationState.results[i] = `[UNTRANSLATED: ${this.translationState.chunks[i]}]`;
-            }
+        };
+        await Promise.all(Array.from({ length: concurrency }, worker));
+        
+        // Stopped: leave unfinished chunks empty so the session can pick them up again
+        if (!this.translationState.isRunning) {
+            this.updateCompletedChunks();
+            this.updateProgress();
+            return;
         }
         
         // Verify all chunks have results
@@ -1367,243 +3937,1583 @@ class TranslationMachine {
         
         console.log('Final results array length:', this.translationState.results.length);
         console.log('Expected chunks:', totalChunks);
+        this.updateCompletedChunks();
         
         if (this.translationState.currentChunk >= totalChunks) {
             await this.completeTranslation();
         }
     }
 
-    async translateChunk(text) {
-        const model = document.getElementById('modelSelect').value;
-        const mode = document.getElementById('translationMode').value; // Get mode first!
-        let systemPrompt = document.getElementById('systemPrompt').value; // Changed to let for potential reassignment
+    async processChunk(i) {
+        const totalChunks = this.translationState.chunks.length;
+        console.log(`Processing chunk ${i + 1}/${totalChunks}`);
+        console.log('Chunk content preview:', this.translationState.chunks[i].substring(0, 100) + '...');
         
-        console.log('=== TRANSLATION DEBUG INFO ===');
-        console.log('Mode:', mode);
-        console.log('Model:', model);
-        console.log('System prompt being sent:', systemPrompt);
-        console.log('Input text (first 200 chars):', text.substring(0, 200) + '...');
-        console.log('System prompt contains "English"?:', systemPrompt.toLowerCase().includes('english'));
-        console.log('System prompt contains "translate"?:', systemPrompt.toLowerCase().includes('translate'));
+        let attempt = 0;
+        let success = false;
         
-        // Only run translation-specific system prompt checks in translation mode
-        if (mode === 'translate') {
-            // Double-check the system prompt is for English translation
-            if (!systemPrompt.toLowerCase().includes('english')) {
-                console.error('CRITICAL ERROR: Translation prompt does not contain "English"!');
-                console.error('Current prompt:', systemPrompt);
-                console.error('Forcing fallback to English translation prompt...');
+        while (!success && this.translationState.isRunning) {
+            try {
+                const result = await this.translateChunk(this.translationState.chunks[i], partial => this.showStreamingPreview(i, partial), this.buildChunkContext(i));
+                this.translationState.tokensUsed += result.tokensUsed;
+                this.translationState.costSoFar += result.cost;
+                this.validateChunkResult(i, result.text);
+                this.translationState.results[i] = result.text;
+                this.translationState.spend.sourceTokens += this.estimateTokens(this.translationState.chunks[i]);
+                this.markRepairedChunk(i, result.repaired);
+                this.checkGlossaryTerms(i, result.text);
+                await this.storeInMemory(this.translationState.chunks[i], result.text);
+                this.updateCompletedChunks();
                 
-                // Fallback to ensure English translation
-                systemPrompt = 'You are a professional translator. Translate the following text to English. Provide only the English translation, do not include the original text.';
-                console.log('Using fallback prompt:', systemPrompt);
-            }
-            
-            // Additional safety check - make sure we're not accidentally asking for Portuguese
-            if (systemPrompt.toLowerCase().includes('portuguese') || systemPrompt.toLowerCase().includes('português')) {
-                console.error('CRITICAL ERROR: System prompt mentions Portuguese - this will cause wrong output!');
-                console.error('Problematic prompt:', systemPrompt);
+                console.log(`Chunk ${i + 1} translated successfully. Result preview:`, result.text.substring(0, 100) + '...');
                 
-                // Force English-only prompt
-                systemPrompt = 'You are a professional translator. Translate the following text from Portuguese to English. Use a formal, professional tone. Provide only the English translation, do not include the original Portuguese text.';
-                console.log('Using corrected prompt:', systemPrompt);
+                success = true;
+                
+                this.updateProgress();
+                this.updatePreview();
+                await this.updateRunningSummary(i);
+                
+                // Save progress every few chunks
+                if (this.translationState.currentChunk % 3 === 0) {
+                    await this.saveSession();
+                }
+                
+            } catch (caught) {
+                const error = this.classifyError(caught);
+                const policy = this.retryPolicies[error.type];
+                console.error(`Translation error for chunk ${i + 1} (${error.type}, attempt ${attempt + 1}):`, caught);
+                
+                if (policy.pauseJob) {
+                    // Retry this chunk once the job is resumed, without using up an attempt
+                    await this.pauseForError(error);
+                    while (this.translationState.isPaused && this.translationState.isRunning) {
+                        await this.sleep(100);
+                    }
+                    continue;
+                }
+                
+                attempt++;
+                if (attempt > policy.retries) {
+                    console.error(`Giving up on chunk ${i + 1} after ${attempt} attempts (${error.type})`);
+                    this.translationState.results[i] = this.getFailureMarker(error, this.translationState.chunks[i]);
+                    success = true; // Move on to next chunk
+                } else {
+                    const delay = this.getRetryDelay(error, attempt, policy);
+                    console.log(`Retrying chunk ${i + 1} in ${(delay / 1000).toFixed(1)}s`);
+                    await this.sleep(delay);
+                }
+            } finally {
+                this.clearStreamingPreview(i);
             }
-        } else {
-            // Transformation mode - just log the prompt without overriding
-            console.log('📝 Transformation mode - using system prompt as-is for text transformation');
-            console.log('Transformation prompt preview:', systemPrompt.substring(0, 200) + '...');
         }
         
-        // Check current mode to determine user message format
-        let userMessage;
+        if (this.translationState.results[i]) {
+            this.updateCompletedChunks();
+            this.updateProgress();
+        }
+    }
+
+    updateCompletedChunks() {
+        // With parallel requests chunks finish out of order, so progress counts finished slots
+        this.translationState.currentChunk = this.translationState.results.filter(result => result).length;
+    }
+
+    isContextEnabled() {
+        return document.getElementById('contextMode').value === 'on';
+    }
+
+    getContextBlockTokens() {
+        // Upper bound for the reference block sent with each chunk; it comes on top of the chunk itself
+        const settings = this.contextSettings;
+        return this.estimateTokens('x'.repeat(settings.tailCharacters * 2)) + settings.summaryTokens + 80;
+    }
+
+    estimateContextTokens(textTokens) {
+        // Extra tokens from the reference block on every chunk after the first, plus the periodic summary requests
+        const chunkTokens = parseInt(document.getElementById('chunkSize').value);
+        const chunkCount = Math.max(1, Math.ceil(textTokens / chunkTokens));
+        const settings = this.contextSettings;
         
-        if (mode === 'transform') {
-            userMessage = `TRANSFORM THIS TEXT: ${text}`;
-        } else {
-            userMessage = `TRANSLATE TO ENGLISH: ${text}`;
-        }
-
-        // Create the API request body
-        const requestBody = {
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userMessage }
-            ],
-            temperature: mode === 'transform' ? 0.3 : 0.1, // Slightly higher temp for transformation creativity
-            max_tokens: this.getMaxTokensForModel(model, text)
+        const perChunk = this.estimateTokens(this.contextPromptSuffix) + this.getContextBlockTokens();
+        const summaryCalls = Math.floor((chunkCount - 1) / settings.summaryInterval);
+        const summaryInput = Math.ceil(chunkTokens * settings.summaryInterval * 1.2) + settings.summaryTokens;
+        
+        return {
+            input: (chunkCount - 1) * perChunk + summaryCalls * summaryInput,
+            output: summaryCalls * settings.summaryTokens
         };
+    }
 
-        console.log('=== FULL API REQUEST ===');
-        console.log('Request body:', JSON.stringify(requestBody, null, 2));
-        console.log('System message:', requestBody.messages[0].content);
-        console.log('User message preview:', requestBody.messages[1].content.substring(0, 100) + '...');
-        
-        // Add timeout to prevent infinite hangs
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => {
-            console.error('⏰ API request timeout after 60 seconds');
-            controller.abort();
-        }, 60000); // 60 second timeout
-
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.apiKey}`
-            },
-            body: JSON.stringify(requestBody),
-            signal: controller.signal
-        });
+    buildChunkContext(index) {
+        if (!this.isContextEnabled() || index === 0) return '';
+        
+        const state = this.translationState;
+        const context = state.context || { summary: '' };
+        const previousSource = this.getTextTail(state.chunks[index - 1]);
+        const previousResult = state.results[index - 1];
+        const previousTranslation = previousResult && !this.isFailedResult(previousResult) ? this.getTextTail(previousResult) : '';
+        
+        const parts = ['REFERENCE CONTEXT (do not translate or repeat)'];
+        if (context.summary) {
+            parts.push(`Summary of the document so far:\n${context.summary}`);
+        }
+        parts.push(`End of the previous passage (original):\n${previousSource}`);
+        if (previousTranslation) {
+            parts.push(`End of the previous passage (already processed):\n${previousTranslation}`);
+        }
+        parts.push('END OF REFERENCE CONTEXT');
+        return parts.join('\n\n');
+    }
+
+    getTextTail(text) {
+        // The last few hundred characters, starting at a paragraph or sentence boundary when there is one
+        const limit = this.contextSettings.tailCharacters;
+        if (text.length <= limit) return text.trim();
+        
+        const tail = text.slice(-limit);
+        const boundary = tail.search(/\n\s*\n|(?<=[.!?。！？])\s+/);
+        return (boundary > 0 && boundary < limit / 2 ? tail.slice(boundary) : tail).trim();
+    }
 
-        clearTimeout(timeoutId); // Clear timeout if request completes
+    isFailedResult(result) {
+        return /^\[(TRANSLATION FAILED|UNTRANSLATED|MISSING TRANSLATION|TIMEOUT ERROR)/.test(result);
+    }
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error?.message || 'API request failed');
+    async updateRunningSummary(index) {
+        // Refreshes the running summary every few chunks from the translations produced since the last refresh
+        const state = this.translationState;
+        const settings = this.contextSettings;
+        if (!this.isContextEnabled() || !state.context) return;
+        if ((index + 1) % settings.summaryInterval !== 0 || index >= state.chunks.length - 1) return;
+        
+        const recent = state.results.slice(state.context.summarizedThrough + 1, index + 1)
+            .filter(result => result && !this.isFailedResult(result))
+            .join('\n\n');
+        if (!recent) return;
+        
+        try {
+            const model = document.getElementById('modelSelect').value;
+            const completion = await this.requestCompletion({
+                model,
+                system: `You maintain a running summary of a document being translated. Write at most 150 words in ${this.getOutputLanguage().name}: ` +
+                    'the main people or entities (with their names as written), key terms, and what has happened or been argued so far. Output only the summary.',
+                user: `${state.context.summary ? `Summary so far:\n${state.context.summary}\n\n` : ''}New passages:\n${recent}`,
+                temperature: 0.1,
+                maxTokens: settings.summaryTokens
+            });
+            
+            state.context.summary = completion.text.trim();
+            state.context.summarizedThrough = index;
+            state.tokensUsed += completion.usage.total_tokens;
+            state.costSoFar += completion.cost;
+            this.updateProgress();
+            console.log(`Running summary updated after chunk ${index + 1}:`, state.context.summary);
+        } catch (error) {
+            // The translation itself succeeded; carry on with the previous summary
+            console.warn('Failed to update running summary:', error);
         }
+    }
+
+    buildStyleSheetPrompt() {
+        const styleSheet = document.getElementById('styleSheet').value.trim();
+        return styleSheet ? `${this.styleSheetPromptSuffix}\n${styleSheet}` : '';
+    }
+
+    resetStyleSheet() {
+        // The sheet describes the loaded document; a new one starts without it (resumed sessions restore theirs from the config)
+        document.getElementById('styleSheet').value = '';
+        document.getElementById('styleSheetStatus').textContent = '';
+    }
 
-        const data = await response.json();
-        const usage = data.usage;
-        const pricing = this.modelPricing[model];
+    selectAnalysisChunks(chunks, scope) {
+        if (scope === 'all' || chunks.length <= this.analysisSettings.sampleChunks) return chunks;
         
-        console.log('=== FULL API RESPONSE ===');
-        console.log('Complete response:', JSON.stringify(data, null, 2));
-        console.log('Response finish reason:', data.choices[0].finish_reason);
+        // Evenly spaced, starting with the first chunk, so characters introduced late are still seen
+        const count = this.analysisSettings.sampleChunks;
+        return Array.from({ length: count }, (_, i) => chunks[Math.floor(i * chunks.length / count)]);
+    }
+
+    async analyzeDocument() {
+        if (!this.validateSettings()) return;
         
-        const translatedText = data.choices[0].message.content;
-        console.log('=== TRANSLATION ANALYSIS ===');
-        console.log('Translation result (first 300 chars):', translatedText.substring(0, 300) + '...');
-        console.log('Full translation length:', translatedText.length, 'characters');
+        const model = document.getElementById('analysisModel').value;
+        const scope = document.getElementById('analysisScope').value;
+        const chunks = this.selectAnalysisChunks(this.buildChunks().chunks, scope);
+        const pricing = this.getModelInfo(model);
+        const estimatedCost = chunks.reduce((total, chunk) => total +
+            (this.estimateTokens(chunk) / 1000) * pricing.input + (this.analysisSettings.maxTokens / 1000) * pricing.output, 0);
+        const styleSheet = document.getElementById('styleSheet');
+        
+        const question = `Analyze ${chunks.length} chunk${chunks.length === 1 ? '' : 's'} with ${pricing.label}?` +
+            (pricing.input > 0 ? ` Estimated cost: up to $${estimatedCost.toFixed(4)}.` : '') +
+            (styleSheet.value.trim() ? '\n\nThe current style sheet will be replaced.' : '');
+        if (!confirm(question)) return;
+        
+        const button = document.getElementById('analyzeBtn');
+        const status = document.getElementById('styleSheetStatus');
+        button.disabled = true;
+        
+        // Analyses are kept in document order so names are listed in the order they first appear
+        const analyses = new Array(chunks.length).fill(null);
+        let next = 0;
+        let finished = 0;
+        let tokens = 0;
+        let cost = 0;
+        let aborted = null;
+        status.textContent = `Analyzing 0 / ${chunks.length} chunks...`;
+        
+        const worker = async () => {
+            while (next < chunks.length && !aborted) {
+                const index = next++;
+                try {
+                    const result = await this.analyzeChunk(chunks[index], model);
+                    analyses[index] = result.analysis;
+                    tokens += result.tokensUsed;
+                    cost += result.cost;
+                } catch (error) {
+                    console.warn(`Analysis of chunk ${index + 1} failed (${error.type}):`, error);
+                    if (this.retryPolicies[error.type]?.pauseJob) {
+                        aborted = error; // Auth and connection problems would fail every other chunk too
+                    }
+                }
+                finished++;
+                status.textContent = `Analyzing ${finished} / ${chunks.length} chunks...`;
+            }
+        };
         
-        // Enhanced language detection with more comprehensive word lists
-        const portugueseWords = ['que', 'para', 'com', 'uma', 'como', 'mais', 'por', 'não', 'dos', 'da', 'de', 'do', 'ser', 'ter', 'este', 'essa', 'fazer', 'dizer', 'muito', 'sobre'];
-        const englishWords = ['the', 'and', 'for', 'are', 'with', 'this', 'that', 'from', 'they', 'have', 'will', 'would', 'could', 'should', 'there', 'their', 'these', 'those', 'when', 'where'];
+        try {
+            await Promise.all(Array.from({ length: Math.max(1, Math.min(this.getConcurrency(), chunks.length)) }, worker));
+        } finally {
+            button.disabled = false;
+        }
         
-        const lowerText = translatedText.toLowerCase();
-        const portugueseMatches = portugueseWords.filter(word => {
-            const regex = new RegExp(`\\b${word}\\b`, 'g');
-            return regex.test(lowerText);
-        });
-        const englishMatches = englishWords.filter(word => {
-            const regex = new RegExp(`\\b${word}\\b`, 'g');
-            return regex.test(lowerText);
-        });
+        const completed = analyses.filter(analysis => analysis);
+        const summary = `${completed.length} / ${chunks.length} chunks analyzed with ${pricing.label}: ${tokens.toLocaleString()} tokens, $${cost.toFixed(4)}`;
+        console.log('Document analysis:', summary);
+        if (completed.length === 0) {
+            status.textContent = '';
+            alert(`The document analysis failed${aborted ? `: ${aborted.message}` : '. The model did not return usable notes; try another analysis model.'}`);
+            return;
+        }
         
-        console.log('Portuguese words found:', portugueseMatches.length, portugueseMatches);
-        console.log('English words found:', englishMatches.length, englishMatches);
+        styleSheet.value = this.buildStyleSheet(this.mergeDocumentAnalyses(completed));
+        status.textContent = `${summary}. Review and edit the sheet before translating; it is sent with every chunk.`;
+        this.updateCostEstimate();
+        if (aborted) {
+            alert(`The analysis stopped early: ${aborted.message}\n\nThe style sheet was built from the ${completed.length} chunks analyzed before that.`);
+        }
+    }
+
+    async analyzeChunk(text, model) {
+        // Retries like a translated chunk, except that auth and connection failures end the analysis instead of pausing it
+        const settings = this.analysisSettings;
+        const maxTokensLimit = Math.min(settings.maxTokensLimit, this.getModelInfo(model).maxOutput || settings.maxTokensLimit);
+        let maxTokens = settings.maxTokens;
+        let entryLimit = null;
+        let truncated = false;
+        let tokensUsed = 0;
+        let cost = 0;
+        
+        for (let attempt = 1; ; ) {
+            try {
+                const completion = await this.requestCompletion({
+                    model,
+                    system: 'You analyze a passage from a document that is about to be translated. Reply with only a JSON object with these keys: ' +
+                        '"names": people, places, organisations and products exactly as written, each {"name": "...", "note": "who or what it is; gender or form of address if evident"}; ' +
+                        '"terms": recurring domain terms, coined words and set phrases that must be translated consistently, each {"term": "...", "note": "meaning or usage"}; ' +
+                        '"register": one sentence on tone, formality and narrative voice; ' +
+                        '"setting": one sentence on time, place and subject matter. ' +
+                        'Use empty arrays or strings when nothing applies. Write notes in English. Do not translate the names or terms.' +
+                        (entryLimit ? ` List at most ${entryLimit} names and ${entryLimit} terms, the most important first, with notes of a few words.` : ''),
+                    user: text,
+                    temperature: 0,
+                    maxTokens
+                });
+                tokensUsed += completion.usage.total_tokens;
+                cost += completion.cost;
+                
+                // A cut-off answer is not valid JSON; asking the same again would be cut off at the same place
+                if (completion.finishReason === 'length' && (maxTokens < maxTokensLimit || !entryLimit || entryLimit > 5)) {
+                    if (maxTokens < maxTokensLimit) {
+                        maxTokens = Math.min(maxTokens * 2, maxTokensLimit);
+                    } else {
+                        entryLimit = Math.max(5, Math.floor((entryLimit || settings.maxEntries) / 2));
+                    }
+                    console.warn(`Analysis hit max_tokens, asking again with ${maxTokens} tokens${entryLimit ? ` and at most ${entryLimit} entries` : ''}`);
+                    continue;
+                }
+                // Still cut off with the most room and fewest entries: no retry gets further, so an answer that
+                // does not parse fails this chunk instead of going through the retry policy
+                truncated = completion.finishReason === 'length';
+                return {
+                    analysis: this.parseDocumentAnalysis(completion.text),
+                    tokensUsed,
+                    cost
+                };
+            } catch (caught) {
+                const error = this.classifyError(caught);
+                const policy = this.retryPolicies[error.type];
+                if (truncated || policy.pauseJob || attempt > policy.retries) throw error;
+                await this.sleep(this.getRetryDelay(error, attempt, policy));
+                attempt++;
+            }
+        }
+    }
+
+    parseDocumentAnalysis(text) {
+        // Models sometimes wrap the object in a code fence or add a sentence around it
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            throw new Error('The analysis did not contain a JSON object');
+        }
+        
+        const data = JSON.parse(text.slice(start, end + 1));
+        const list = (items, key) => (Array.isArray(items) ? items : [])
+            .filter(item => item && typeof item[key] === 'string' && item[key].trim())
+            .map(item => ({ value: item[key].trim(), note: typeof item.note === 'string' ? item.note.trim() : '' }));
+        const sentence = value => typeof value === 'string' ? value.trim() : '';
+        
+        return {
+            names: list(data.names, 'name'),
+            terms: list(data.terms, 'term'),
+            register: sentence(data.register),
+            setting: sentence(data.setting)
+        };
+    }
+
+    mergeDocumentAnalyses(analyses) {
+        // Entries found in several chunks rank first; the first non-empty note for each is kept
+        const merge = (key) => {
+            const entries = new Map();
+            analyses.forEach(analysis => analysis[key].forEach(item => {
+                const id = item.value.toLowerCase();
+                const entry = entries.get(id) || { value: item.value, note: '', count: 0 };
+                entry.count++;
+                entry.note = entry.note || item.note;
+                entries.set(id, entry);
+            }));
+            return Array.from(entries.values())
+                .sort((a, b) => b.count - a.count)
+                .slice(0, this.analysisSettings.maxEntries);
+        };
+        const mostCommon = (key) => {
+            const counts = new Map();
+            analyses.forEach(analysis => {
+                if (analysis[key]) counts.set(analysis[key], (counts.get(analysis[key]) || 0) + 1);
+            });
+            return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).slice(0, 2).map(([value]) => value);
+        };
+        
+        return {
+            names: merge('names'),
+            terms: merge('terms'),
+            register: mostCommon('register'),
+            setting: mostCommon('setting')
+        };
+    }
+
+    buildStyleSheet(merged) {
+        const lines = [];
+        if (merged.setting.length > 0) {
+            lines.push(`SETTING: ${merged.setting.join(' ')}`);
+        }
+        if (merged.register.length > 0) {
+            lines.push(`REGISTER: ${merged.register.join(' ')}`);
+        }
+        const list = entries => entries.map(entry => `- ${entry.value}${entry.note ? `: ${entry.note}` : ''}`);
+        if (merged.names.length > 0) {
+            lines.push('', 'NAMES (keep consistent):', ...list(merged.names));
+        }
+        if (merged.terms.length > 0) {
+            lines.push('', 'RECURRING TERMS (translate consistently):', ...list(merged.terms));
+        }
+        return lines.join('\n').trim();
+    }
+
+    async loadGlossaries() {
+        if (this.db) {
+            try {
+                const glossaries = await new Promise((resolve, reject) => {
+                    const request = this.db.transaction(['glossaries'], 'readonly').objectStore('glossaries').getAll();
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+                this.glossaries = Object.fromEntries(glossaries.map(glossary => [glossary.name, glossary]));
+                console.log(`Loaded ${glossaries.length} glossary projects`);
+            } catch (error) {
+                console.warn('Failed to load glossaries:', error);
+            }
+        }
+        this.populateGlossarySelect();
+    }
+
+    populateGlossarySelect() {
+        const select = document.getElementById('glossarySelect');
+        select.innerHTML = '';
+        select.add(new Option('None', ''));
+        Object.keys(this.glossaries).sort((a, b) => a.localeCompare(b)).forEach(name => {
+            select.add(new Option(`${name} (${this.glossaries[name].entries.length} terms)`, name));
+        });
+        
+        if (!this.glossaries[this.activeGlossary]) {
+            this.activeGlossary = '';
+        }
+        select.value = this.activeGlossary;
+        this.updateGlossaryLanguageWarning();
+    }
+
+    handleGlossaryChange() {
+        this.activeGlossary = document.getElementById('glossarySelect').value;
+        console.log('Active glossary:', this.activeGlossary || 'none');
+        this.updateGlossaryLanguageWarning();
+        this.saveSettings();
+        this.updateCostEstimate();
+    }
+
+    getGlossaryLanguageMismatch() {
+        // A glossary imported for another target language would mandate terms in the wrong language
+        const glossary = this.glossaries[this.activeGlossary];
+        if (!glossary || !glossary.targetLanguage) return null;
+        
+        const glossaryLanguage = glossary.targetLanguage.toLowerCase().split(/[-_]/)[0];
+        const output = this.getOutputLanguage();
+        return glossaryLanguage !== output.code ? { glossary: glossaryLanguage, output } : null;
+    }
+
+    updateGlossaryLanguageWarning() {
+        const warning = document.getElementById('glossaryLanguageWarning');
+        const mismatch = this.getGlossaryLanguageMismatch();
+        warning.style.display = mismatch ? 'block' : 'none';
+        warning.textContent = mismatch
+            ? `This glossary is for ${this.targetLanguages[mismatch.glossary]?.name || mismatch.glossary}, not ${mismatch.output.name}; it is skipped.`
+            : '';
+    }
+
+    getTermPattern(term) {
+        // Whole-term, case-insensitive match; scripts written without spaces have no word boundaries to check
+        const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        if (/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\u0e00-\u0e7f]/.test(term)) {
+            return new RegExp(escaped, 'iu');
+        }
+        return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu');
+    }
+
+    findGlossaryTerms(text) {
+        const glossary = this.glossaries[this.activeGlossary];
+        if (!glossary || document.getElementById('translationMode').value !== 'translate') return [];
+        if (this.getGlossaryLanguageMismatch()) return [];
+        
+        return glossary.entries.filter(entry => entry.source && entry.target && this.getTermPattern(entry.source).test(text));
+    }
+
+    buildGlossaryPrompt(text) {
+        // Only the entries that occur in this chunk, so large glossaries do not crowd the prompt
+        const entries = this.findGlossaryTerms(text);
+        if (entries.length === 0) return '';
+        
+        const lines = entries.map(entry => `- "${entry.source}" → "${entry.target}"${entry.note ? ` (${entry.note})` : ''}`);
+        console.log(`Glossary: ${entries.length} mandated terms in this chunk`);
+        return `${this.glossaryPromptSuffix}\n${lines.join('\n')}`;
+    }
+
+    checkGlossaryTerms(index, result) {
+        // A term is violated when its source occurs in the chunk but its mandated translation is not in the result
+        const state = this.translationState;
+        if (!state.glossaryViolations) {
+            state.glossaryViolations = {};
+        }
+        
+        const missing = this.isFailedResult(result) ? [] : this.findGlossaryTerms(state.chunks[index])
+            .filter(entry => !this.getTermPattern(entry.target).test(result))
+            .map(entry => ({ source: entry.source, target: entry.target }));
+        
+        if (missing.length > 0) {
+            console.warn(`Chunk ${index + 1} does not use mandated glossary terms:`, missing);
+            state.glossaryViolations[index] = missing;
+        } else {
+            delete state.glossaryViolations[index];
+        }
+    }
+
+    getGlossaryReportHtml() {
+        const violations = this.translationState.glossaryViolations || {};
+        const indices = Object.keys(violations).map(Number).sort((a, b) => a - b);
+        if (indices.length === 0) return '';
+        
+        const items = indices.map(index => {
+            const terms = violations[index].map(term => `"${this.escapeHtml(term.source)}" → "${this.escapeHtml(term.target)}"`).join(', ');
+            return `<li>Chunk ${index + 1}: ${terms}</li>`;
+        }).join('');
+        return `
+            <div class="glossary-report">
+                <strong><i class="fas fa-book"></i> Glossary terms not found in the translation:</strong>
+                <ul>${items}</ul>
+                <small>Check these passages; a term may only differ by an inflected ending.</small>
+            </div>
+        `;
+    }
+
+    async loadTranslationMemory() {
+        if (!this.db) return;
+        
+        try {
+            const records = await new Promise((resolve, reject) => {
+                const request = this.db.transaction(['memory'], 'readonly').objectStore('memory').getAll();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            this.translationMemory = new Map(records.map(record => [record.key, record]));
+            this.fuzzyMatches.clear();
+            console.log(`Loaded ${records.length} translation memory entries`);
+        } catch (error) {
+            console.warn('Failed to load translation memory:', error);
+        }
+    }
+
+    isMemoryEnabled() {
+        return document.getElementById('memoryMode').value === 'on';
+    }
+
+    hashText(text) {
+        // 53-bit string hash (cyrb53); records also keep their source and model, so a collision is caught on lookup
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    }
+
+    normalizeMemoryText(text) {
+        return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+    }
+
+    getMemoryEntry(text) {
+        // Everything that changes the answer for this chunk: source text, model, prompt (with its glossary terms and style sheet) and output language
+        const source = this.normalizeMemoryText(text);
+        const model = document.getElementById('modelSelect').value;
+        const glossary = this.findGlossaryTerms(text).map(entry => `${entry.source}=${entry.target}`).join('\n');
+        const styleSheet = this.buildStyleSheetPrompt();
+        // Appended only when present so entries stored without a style sheet keep their keys
+        const prompt = document.getElementById('systemPrompt').value + '\n' + glossary + (styleSheet ? '\n' + styleSheet : '');
+        const language = this.getOutputLanguage().code;
+        
+        return {
+            key: this.hashText([source, model, prompt, language].join('\u0000')),
+            source,
+            model,
+            language
+        };
+    }
+
+    findMemoryMatch(text) {
+        const entry = this.getMemoryEntry(text);
+        const record = this.translationMemory.get(entry.key);
+        if (!record || record.source !== entry.source || record.model !== entry.model || record.language !== entry.language) {
+            return null;
+        }
+        return record;
+    }
+
+    findFuzzyMemoryMatch(text) {
+        // Best earlier translation into the same language whose source shares most word pairs with this chunk
+        const source = this.normalizeMemoryText(text);
+        const language = this.getOutputLanguage().code;
+        // The scan compares against every record, so its result is kept until the memory changes;
+        // it does not depend on the model or prompt, so editing those does not repeat it
+        const cacheKey = `${language}\u0000${source}`;
+        if (this.fuzzyMatches.has(cacheKey)) {
+            return this.fuzzyMatches.get(cacheKey);
+        }
+        
+        const bigrams = this.getWordBigrams(source);
+        if (bigrams.size === 0) return null;
+        
+        let best = null;
+        for (const record of this.translationMemory.values()) {
+            if (record.language !== language || record.source === source) continue;
+            const lengthRatio = record.source.length / source.length;
+            if (lengthRatio < 0.7 || lengthRatio > 1.4) continue;
+            
+            const recordBigrams = this.getWordBigrams(record.source, record.key);
+            let shared = 0;
+            for (const bigram of bigrams) {
+                if (recordBigrams.has(bigram)) shared++;
+            }
+            const similarity = (2 * shared) / (bigrams.size + recordBigrams.size);
+            if (similarity >= this.memorySettings.fuzzyThreshold && (!best || similarity > best.similarity)) {
+                best = { record, similarity };
+            }
+        }
+        this.fuzzyMatches.set(cacheKey, best);
+        return best;
+    }
+
+    getWordBigrams(text, cacheKey = null) {
+        if (cacheKey && this.memoryBigrams.has(cacheKey)) {
+            return this.memoryBigrams.get(cacheKey);
+        }
+        
+        // Scripts without spaces fall back to character pairs
+        const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        const units = words.length > 1 && words.length * 20 > text.length ? words : Array.from(text.replace(/\s+/g, ''));
+        const bigrams = new Set();
+        for (let i = 0; i < units.length - 1; i++) {
+            bigrams.add(units[i] + ' ' + units[i + 1]);
+        }
+        
+        if (cacheKey) {
+            this.memoryBigrams.set(cacheKey, bigrams);
+        }
+        return bigrams;
+    }
+
+    buildMemorySuggestion(text) {
+        if (!this.isMemoryEnabled() || this.translationMemory.size === 0) return '';
+        
+        const match = this.findFuzzyMemoryMatch(text);
+        if (!match) return '';
+        
+        console.log(`Translation memory: ${Math.round(match.similarity * 100)}% similar earlier translation offered as a suggestion`);
+        return [
+            `TRANSLATION MEMORY SUGGESTION (${Math.round(match.similarity * 100)}% similar source)`,
+            `Earlier source:\n${match.record.source}`,
+            `Its approved translation:\n${match.record.translation}`,
+            'END OF SUGGESTION'
+        ].join('\n\n');
+    }
+
+    async storeInMemory(text, translation) {
+        // Wrong-language answers carry a warning prefix and must not be reused
+        if (this.isFailedResult(translation) || translation.startsWith('[WARNING')) return;
+        
+        const record = {
+            ...this.getMemoryEntry(text),
+            translation,
+            updatedAt: Date.now()
+        };
+        this.translationMemory.set(record.key, record);
+        this.memoryBigrams.delete(record.key);
+        this.fuzzyMatches.clear();
+        
+        if (!this.db) return;
+        try {
+            const transaction = this.db.transaction(['memory'], 'readwrite');
+            await transaction.objectStore('memory').put(record);
+        } catch (error) {
+            console.warn('Failed to store translation memory entry:', error);
+        }
+    }
+
+    applyMemoryMatches() {
+        // Fill empty chunk slots with exact matches before any request is made; they cost nothing
+        const state = this.translationState;
+        if (!this.isMemoryEnabled() || this.translationMemory.size === 0) return;
+        
+        const model = document.getElementById('modelSelect').value;
+        state.chunks.forEach((chunk, i) => {
+            if (state.results[i]) return;
+            const record = this.findMemoryMatch(chunk);
+            if (!record) return;
+            
+            state.results[i] = record.translation;
+            state.memoryHits = (state.memoryHits || 0) + 1;
+            state.memorySaved = (state.memorySaved || 0) + this.estimateChunkCost(chunk, model);
+            this.checkGlossaryTerms(i, record.translation);
+        });
+        
+        if (state.memoryHits > 0) {
+            console.log(`Translation memory: reused ${state.memoryHits} chunks, saving about $${state.memorySaved.toFixed(4)}`);
+            this.updateCompletedChunks();
+            this.updateProgress();
+            this.updatePreview();
+        }
+    }
+
+    estimateChunkCost(text, model) {
+        const tokens = this.estimateTokens(text);
+        const pricing = this.getModelInfo(model);
+        return (tokens / 1000) * pricing.input + (Math.ceil(tokens * 1.2) / 1000) * pricing.output;
+    }
+
+    estimateMemoryUse(model) {
+        // Which chunks of the current document the memory would answer outright, and which would get a suggestion
+        const usage = { chunks: 0, exact: 0, fuzzy: 0, exactTokens: 0, fuzzyTokens: 0 };
+        if (!this.isMemoryEnabled() || this.translationMemory.size === 0) return usage;
+        
+        // A running job adds to the memory after every chunk; the scan from before it started still describes the form
+        if (this.translationState.isRunning && this.memoryUsage) return this.memoryUsage;
+        
+        const { chunks } = this.buildChunks();
+        usage.chunks = chunks.length;
+        chunks.forEach(chunk => {
+            if (this.findMemoryMatch(chunk)) {
+                usage.exact++;
+                usage.exactTokens += this.estimateTokens(chunk);
+            } else {
+                const match = this.findFuzzyMemoryMatch(chunk);
+                if (match) {
+                    usage.fuzzy++;
+                    usage.fuzzyTokens += this.estimateTokens(match.record.source + match.record.translation);
+                }
+            }
+        });
+        this.memoryUsage = usage;
+        return usage;
+    }
+
+    async clearTranslationMemory() {
+        if (!confirm(`Delete all ${this.translationMemory.size} stored translations from the translation memory?`)) return;
+        
+        this.translationMemory.clear();
+        this.memoryBigrams.clear();
+        this.fuzzyMatches.clear();
+        if (this.db) {
+            try {
+                const transaction = this.db.transaction(['memory'], 'readwrite');
+                await transaction.objectStore('memory').clear();
+                console.log('Cleared translation memory');
+            } catch (error) {
+                console.warn('Failed to clear translation memory:', error);
+            }
+        }
+        this.updateMemoryCount();
+        this.updateCostEstimate();
+    }
+
+    updateMemoryCount() {
+        document.getElementById('memoryCount').textContent =
+            `${this.translationMemory.size.toLocaleString()} stored translations. Exact matches are reused for free; similar ones are sent to the model as suggestions.`;
+    }
+
+    createApiError(status, body, retryAfter = 0) {
+        // Maps an HTTP status and the provider's error body (OpenAI, Azure or Anthropic shape) onto an error type
+        const detail = body.error || body;
+        const message = detail.message || `API request failed (${status})`;
+        const code = `${detail.code || ''} ${detail.type || ''}`.toLowerCase();
+        
+        let type;
+        if (/context_length|maximum context length|prompt is too long|too many tokens/i.test(code + ' ' + message)) {
+            type = 'context_length';
+        } else if (/content_filter|content_policy|responsibleai|safety/i.test(code + ' ' + message)) {
+            type = 'content_filter';
+        } else if (status === 401 || status === 403 || /authentication|permission|insufficient_quota|billing/.test(code)) {
+            type = 'auth';
+        } else if (status === 429 || /rate_limit/.test(code)) {
+            type = 'rate_limit';
+        } else if (status === 408 || status === 409 || status >= 500 || /overloaded|api_error|server_error/.test(code)) {
+            type = 'server';
+        } else {
+            type = 'invalid_request';
+        }
+        return new ApiError(type, message, { status, retryAfter });
+    }
+
+    classifyError(error) {
+        if (error instanceof ApiError) return error;
+        if (error.name === 'AbortError') {
+            return new ApiError('timeout', 'No data from the API for 60 seconds');
+        }
+        // Network failures are tagged where they happen (fetch and the stream reader, see toNetworkError);
+        // anything else went wrong with the answer itself or in our own code: wrong language, missing subtitle cues...
+        return new ApiError('output', error.message);
+    }
+
+    toNetworkError(error) {
+        // fetch and reader.read reject with a TypeError when the server cannot be reached or the connection drops
+        if (error.name === 'AbortError') return error;
+        return new ApiError('network', navigator.onLine === false ? 'You are offline' : `Could not reach the AI provider (${error.message})`);
+    }
+
+    getRetryDelay(error, attempt, policy) {
+        // Exponential backoff with jitter; a Retry-After from the server wins when it asks for longer
+        const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+        const delay = backoff / 2 + Math.random() * backoff / 2;
+        if (error.type === 'rate_limit' && this.rateLimiter.blockedUntil > Date.now()) {
+            // The limiter already holds every worker until Retry-After; only spread the restart
+            return Math.random() * 1000;
+        }
+        return Math.max(delay, error.retryAfter);
+    }
+
+    getFailureMarker(error, chunk) {
+        const preview = chunk.substring(0, 200);
+        switch (error.type) {
+            case 'timeout':
+                return `[TIMEOUT ERROR: Request took too long - ${preview}...]`;
+            case 'context_length':
+                return `[TRANSLATION FAILED - CHUNK TOO LARGE: ${preview}...]`;
+            case 'content_filter':
+                return `[TRANSLATION FAILED - BLOCKED BY CONTENT FILTER: ${preview}...]`;
+            default:
+                return `[TRANSLATION FAILED: ${preview}...]`;
+        }
+    }
+
+    async pauseForError(error) {
+        // Auth failures and lost connections would fail every remaining chunk, so the whole job waits instead
+        const state = this.translationState;
+        if (state.isPaused) return;
         
-        const confidence = englishMatches.length / (englishMatches.length + portugueseMatches.length) * 100;
-        console.log('English confidence:', confidence.toFixed(1) + '%');
+        state.pauseReason = error.type;
+        await this.pauseTranslation();
+        console.warn(`Translation paused (${error.type}):`, error.message);
         
-        // Only run Portuguese detection in translation mode, not transformation mode
+        if (error.type === 'network') {
+            alert(`${error.message}.\n\nTranslation is paused. It resumes by itself when your connection comes back, or press Resume once the provider is reachable.`);
+        } else {
+            alert(`The AI provider refused the request: ${error.message}\n\nTranslation is paused. Check your API key, plan or quota in Settings, then press Resume.`);
+        }
+    }
+
+    handleConnectionRestored() {
+        const state = this.translationState;
+        if (state.isRunning && state.isPaused && state.pauseReason === 'network') {
+            console.log('Connection restored - resuming translation');
+            this.resumeTranslation();
+        }
+    }
+
+    getBudget() {
+        // Both limits are optional; an empty or zero field means no limit
+        const cap = parseFloat(document.getElementById('budgetCap').value);
+        const warning = parseFloat(document.getElementById('budgetWarning').value);
+        return { cap: cap > 0 ? cap : null, warning: warning > 0 ? warning : null };
+    }
+
+    handleBudgetChange() {
+        this.saveSettings();
+        this.updateCostEstimate();
+        if (this.translationState.isRunning) {
+            // A limit changed mid-job applies to the rest of it, and to the session if it is resumed later
+            this.translationState.config = { ...this.translationState.config, ...this.getCurrentBudgetConfig() };
+            this.updateProgress();
+        }
+    }
+
+    getCurrentBudgetConfig() {
+        return {
+            budgetCap: document.getElementById('budgetCap').value,
+            budgetWarning: document.getElementById('budgetWarning').value
+        };
+    }
+
+    projectChunkCost(index) {
+        // Scales the job's actual cost per source token, which already includes retries, repairs, forced
+        // re-translations and summaries; until a chunk has finished only the pre-flight estimate is known
+        const state = this.translationState;
+        const chunk = state.chunks[index];
+        if (state.spend && state.spend.sourceTokens > 0) {
+            return (state.costSoFar / state.spend.sourceTokens) * this.estimateTokens(chunk);
+        }
+        return this.estimateChunkCost(chunk, document.getElementById('modelSelect').value);
+    }
+
+    getProjectedCost() {
+        const state = this.translationState;
+        return state.chunks.reduce((total, chunk, i) => state.results[i] ? total : total + this.projectChunkCost(i), state.costSoFar);
+    }
+
+    exceedsBudget(pendingCost) {
+        const { cap } = this.getBudget();
+        return cap !== null && this.translationState.costSoFar + pendingCost > cap;
+    }
+
+    async pauseForBudget(pendingCost) {
+        const state = this.translationState;
+        if (state.isPaused) return;
+        
+        const { cap } = this.getBudget();
+        const projected = this.getProjectedCost();
+        state.pauseReason = 'budget';
+        await this.pauseTranslation();
+        console.warn(`Translation paused at the spending cap: $${state.costSoFar.toFixed(4)} spent, $${pendingCost.toFixed(4)} projected for the next chunks, cap $${cap.toFixed(2)}`);
+        
+        // Round up to whole cents so the raised cap covers the projection it is based on
+        const raisedCap = Math.ceil(Math.max(projected, state.costSoFar + pendingCost) * 100) / 100;
+        const raise = confirm(
+            `Spending cap reached - translation is paused.\n\n` +
+            `Spent so far: $${state.costSoFar.toFixed(4)}\n` +
+            `Next chunk (projected): $${pendingCost.toFixed(4)}\n` +
+            `Cap: $${cap.toFixed(2)}\n` +
+            `Projected total for this job: $${projected.toFixed(4)}\n\n` +
+            `Press OK to raise the cap to $${raisedCap.toFixed(2)} and continue, or Cancel to stay paused. ` +
+            `You can also stop the job and export what has been translated so far.`
+        );
+        if (raise && state.isRunning) {
+            document.getElementById('budgetCap').value = raisedCap.toFixed(2);
+            this.handleBudgetChange();
+            this.resumeTranslation();
+        }
+    }
+
+    checkSpendWarning() {
+        const state = this.translationState;
+        const { cap, warning } = this.getBudget();
+        if (warning === null || state.spend.warned || state.costSoFar < warning) return;
+        
+        // Warn once per job; the job keeps running
+        state.spend.warned = true;
+        const projected = this.getProjectedCost();
+        console.warn(`Spend warning: $${state.costSoFar.toFixed(4)} spent, threshold $${warning.toFixed(2)}, projected total $${projected.toFixed(4)}`);
+        this.updateProgress();
+        alert(
+            `Spend alert: this job has cost $${state.costSoFar.toFixed(4)} so far, past your $${warning.toFixed(2)} warning threshold.\n\n` +
+            `Projected total: $${projected.toFixed(4)}${cap !== null ? ` (cap $${cap.toFixed(2)})` : ''}.\n` +
+            `Translation continues - pause or stop it if this is more than you expected.`
+        );
+    }
+
+    getConcurrency() {
+        return parseInt(document.getElementById('concurrency').value) || 1;
+    }
+
+    async translateChunk(text, onDelta = null, context = '', depth = 0) {
+        const model = document.getElementById('modelSelect').value;
+        const mode = document.getElementById('translationMode').value; // Get mode first!
+        let systemPrompt = document.getElementById('systemPrompt').value; // Changed to let for potential reassignment
+        
+        console.log('=== TRANSLATION DEBUG INFO ===');
+        console.log('Mode:', mode);
+        console.log('Model:', model);
+        console.log('System prompt being sent:', systemPrompt);
+        console.log('Input text (first 200 chars):', text.substring(0, 200) + '...');
+        const target = this.getTargetLanguage();
+        console.log('Target language:', target.name);
+        console.log(`System prompt contains "${target.name}"?:`, this.promptMentionsTarget(systemPrompt));
+        console.log('System prompt contains "translate"?:', systemPrompt.toLowerCase().includes('translate'));
+        
+        // Only run translation-specific system prompt checks in translation mode
+        if (mode === 'translate') {
+            // Double-check the system prompt is for the selected target language
+            if (!this.promptMentionsTarget(systemPrompt)) {
+                console.error(`CRITICAL ERROR: Translation prompt does not contain "${target.name}"!`);
+                console.error('Current prompt:', systemPrompt);
+                console.error(`Forcing fallback to ${target.name} translation prompt...`);
+                
+                systemPrompt = `You are a professional translator. Translate the following text to ${target.name}. Provide only the ${target.name} translation, do not include the original text.`;
+                console.log('Using fallback prompt:', systemPrompt);
+            }
+            
+            // Additional safety check - make sure we're not accidentally asking for another language
+            const otherTarget = this.promptNamesOtherTarget(systemPrompt);
+            if (otherTarget) {
+                console.error(`CRITICAL ERROR: System prompt asks for ${otherTarget.name} - this will cause wrong output!`);
+                console.error('Problematic prompt:', systemPrompt);
+                
+                systemPrompt = this.getTranslationPrompt('formal');
+                console.log('Using corrected prompt:', systemPrompt);
+            }
+        } else {
+            // Transformation mode - just log the prompt without overriding
+            console.log('📝 Transformation mode - using system prompt as-is for text transformation');
+            console.log('Transformation prompt preview:', systemPrompt.substring(0, 200) + '...');
+        }
+        
+        if (this.subtitleStructure) {
+            systemPrompt += '\n\n' + this.subtitlePromptSuffix;
+        } else if (this.epubStructure) {
+            systemPrompt += '\n\n' + this.epubPromptSuffix;
+        }
+        if (context) {
+            systemPrompt += '\n\n' + this.contextPromptSuffix;
+        }
+        const glossaryPrompt = this.buildGlossaryPrompt(text);
+        if (glossaryPrompt) {
+            systemPrompt += '\n\n' + glossaryPrompt;
+        }
+        const styleSheetPrompt = this.buildStyleSheetPrompt();
+        if (styleSheetPrompt) {
+            systemPrompt += '\n\n' + styleSheetPrompt;
+        }
+        const suggestion = this.buildMemorySuggestion(text);
+        if (suggestion) {
+            systemPrompt += '\n\n' + this.memoryPromptSuffix;
+        }
+        
+        // Check current mode to determine user message format
+        let userMessage;
+        
+        if (mode === 'transform') {
+            userMessage = `TRANSFORM THIS TEXT: ${text}`;
+        } else {
+            userMessage = `TRANSLATE TO ${target.name.toUpperCase()}: ${text}`;
+        }
+        if (suggestion) {
+            userMessage = `${suggestion}\n\n${userMessage}`;
+        }
+        if (context) {
+            userMessage = `${context}\n\n${userMessage}`;
+        }
+
+        const maxTokens = this.getMaxTokensForModel(model, text);
+        let completion;
+        try {
+            completion = await this.requestCompletion({
+                model,
+                system: systemPrompt,
+                user: userMessage,
+                temperature: mode === 'transform' ? 0.3 : 0.1, // Slightly higher temp for transformation creativity
+                maxTokens,
+                onDelta
+            });
+        } catch (error) {
+            // A chunk that does not fit the model's context window is translated in halves
+            const split = error.type === 'context_length' && depth < this.truncationSettings.maxSplitDepth ? this.splitChunkInHalf(text) : null;
+            if (!split) throw error;
+            console.warn(`✂️ Chunk exceeds the model's context window - splitting it (depth ${depth + 1})`);
+            return this.translateHalves(split, onDelta, context, depth);
+        }
+        const usage = completion.usage;
+        
+        if (completion.finishReason === 'length') {
+            console.warn(`⚠️ Completion stopped at max_tokens (${maxTokens}) - the end of the chunk is missing, repairing`);
+            return this.repairTruncatedChunk({ text, truncated: completion, model, maxTokens, systemPrompt, onDelta, context, depth });
+        }
+        
+        const translatedText = completion.text;
+        console.log('=== TRANSLATION ANALYSIS ===');
+        console.log('Translation result (first 300 chars):', translatedText.substring(0, 300) + '...');
+        console.log('Full translation length:', translatedText.length, 'characters');
+        
+        // Check the answer is actually in the target language
+        const detection = this.detectOutputLanguage(translatedText);
+        console.log('Output language detected:', detection.detection);
+        console.log(`${target.name} confidence:`, detection.confidence.toFixed(1) + '%');
+        
+        // Only run wrong-language detection in translation mode, not transformation mode
         if (mode === 'translate') {
-            if (portugueseMatches.length > englishMatches.length && portugueseMatches.length > 2) {
-                console.error('🚨 CRITICAL: Translation result is in Portuguese!');
-                console.error('Portuguese words detected:', portugueseMatches);
-                console.error('This means OpenAI is completely ignoring our English translation request');
+            if (detection.wrongLanguage) {
+                console.error(`🚨 CRITICAL: Translation result is in ${detection.wrongLanguage}!`);
+                console.error(`This means the model is ignoring our ${target.name} translation request`);
                 
                 // Try to force a re-translation with an even stronger prompt
-                console.warn('Attempting to force English translation...');
-                return await this.forceEnglishTranslation(text, model);
-            } else if (confidence < 70) {
-                console.warn('⚠️ WARNING: Translation confidence is low (' + confidence.toFixed(1) + '%)');
+                console.warn(`Attempting to force ${target.name} translation...`);
+                const forced = await this.forceTargetTranslation(text, model, detection.wrongLanguage);
+                // The rejected first answer was paid for too
+                forced.tokensUsed += usage.total_tokens;
+                forced.cost += completion.cost;
+                return forced;
+            } else if (detection.confidence < 70) {
+                console.warn('⚠️ WARNING: Translation confidence is low (' + detection.confidence.toFixed(1) + '%)');
                 console.warn('Result may contain mixed languages or errors');
             } else {
-                console.log('✅ Translation appears to be in English (confidence: ' + confidence.toFixed(1) + '%)');
+                console.log(`✅ Translation appears to be in ${target.name} (confidence: ` + detection.confidence.toFixed(1) + '%)');
+            }
+        } else {
+            // Transformation mode - just log the analysis without triggering wrong-language detection
+            console.log('📝 Transformation mode - language detection is for analysis only');
+            console.log('✅ Transformation completed (confidence: ' + detection.confidence.toFixed(1) + '%)');
+        }
+        
+        return {
+            text: translatedText,
+            tokensUsed: usage.total_tokens,
+            cost: completion.cost
+        };
+    }
+
+    async requestCompletion({ model, system, user, temperature, maxTokens, onDelta = null }) {
+        // One streamed chat completion against the active provider; returns { text, usage, finishReason, cost }
+        const request = this.buildChatRequest({ model, system, user, temperature, maxTokens });
+
+        console.log('=== FULL API REQUEST ===');
+        console.log('Provider:', this.getProvider().name, request.url);
+        console.log('Request body:', JSON.stringify(request.body, null, 2));
+        
+        // Abort when the stream goes quiet; a long answer that keeps streaming is fine
+        const controller = new AbortController();
+        let timeoutId;
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => {
+                console.error('⏰ API request timeout after 60 seconds without data');
+                controller.abort();
+            }, 60000); // 60 second idle timeout
+        };
+
+        // Count the prompt locally first so it can be compared with the API's usage figure
+        await this.countTokens([system, user]);
+        const estimatedPromptTokens = this.estimateTokens(system) + this.estimateTokens(user) + this.chatOverheadTokens;
+
+        let streamed;
+        try {
+            await this.acquireRateLimit(estimatedPromptTokens + maxTokens);
+            resetTimeout(); // start the idle timer once the limiter lets the request through
+
+            const response = await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal: controller.signal
+            }).catch(error => { throw this.toNetworkError(error); });
+
+            const retryAfter = this.updateRateLimits(response);
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw this.createApiError(response.status, body, retryAfter);
+            }
+
+            streamed = await this.readChatStream(response, onDelta, resetTimeout);
+        } catch (error) {
+            throw this.classifyError(error);
+        } finally {
+            clearTimeout(timeoutId); // Clear timeout once the stream ends or fails
+        }
+        
+        if (streamed.finishReason === 'content_filter') {
+            throw new ApiError('content_filter', 'The provider\'s content filter stopped the answer');
+        }
+
+        let usage = streamed.usage;
+        if (!usage) {
+            // Some servers ignore stream_options; fall back to an estimate rather than recording no usage
+            console.warn('Stream ended without usage data - estimating tokens');
+            const completionTokens = this.estimateTokens(streamed.text);
+            usage = { prompt_tokens: estimatedPromptTokens, completion_tokens: completionTokens, total_tokens: estimatedPromptTokens + completionTokens };
+        } else if (this.translationState.tokenAccuracy) {
+            const accuracy = this.translationState.tokenAccuracy;
+            accuracy.estimatedPrompt += estimatedPromptTokens;
+            accuracy.actualPrompt += usage.prompt_tokens;
+            accuracy.requests++;
+        }
+        
+        console.log('=== FULL API RESPONSE ===');
+        console.log('Usage:', usage);
+        console.log('Response finish reason:', streamed.finishReason);
+        
+        const pricing = this.getModelInfo(model);
+        const cost = (usage.prompt_tokens / 1000) * pricing.input + (usage.completion_tokens / 1000) * pricing.output;
+        return { text: streamed.text, usage, finishReason: streamed.finishReason, cost };
+    }
+
+    buildChatRequest({ model, system, user, temperature, maxTokens }) {
+        const provider = this.getProvider();
+        const baseUrl = provider.baseUrl.replace(/\/+$/, '');
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (provider.format === 'anthropic') {
+            headers['x-api-key'] = provider.apiKey;
+            headers['anthropic-version'] = '2023-06-01';
+            headers['anthropic-dangerous-direct-browser-access'] = 'true'; // required for calls straight from a browser
+            return {
+                url: `${baseUrl}/messages`,
+                headers,
+                body: {
+                    model,
+                    system,
+                    messages: [{ role: 'user', content: user }],
+                    temperature,
+                    max_tokens: maxTokens,
+                    stream: true
+                }
+            };
+        }
+
+        if (provider.auth === 'api-key') {
+            headers['api-key'] = provider.apiKey;
+        } else if (provider.apiKey) {
+            headers['Authorization'] = `Bearer ${provider.apiKey}`;
+        }
+
+        // Azure addresses the deployment in the URL instead of the body
+        const url = provider.format === 'azure'
+            ? `${baseUrl}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${encodeURIComponent(provider.apiVersion)}`
+            : `${baseUrl}/chat/completions`;
+
+        return {
+            url,
+            headers,
+            body: {
+                model,
+                messages: [
+                    { role: 'system', content: system },
+                    { role: 'user', content: user }
+                ],
+                temperature,
+                max_tokens: maxTokens,
+                stream: true,
+                stream_options: { include_usage: true } // final event carries the token usage
+            }
+        };
+    }
+
+    getProvider(id = this.provider) {
+        // Built-in defaults overlaid with what the user saved in Settings
+        const defaults = this.providers[id] || this.providers.openai;
+        const saved = this.providerSettings[id] || {};
+        return {
+            id,
+            ...defaults,
+            apiKey: saved.apiKey || '',
+            baseUrl: saved.baseUrl || defaults.baseUrl,
+            apiVersion: saved.apiVersion || defaults.apiVersion
+        };
+    }
+
+    parseModelList(value) {
+        return (value || '').split(',').map(name => name.trim()).filter(Boolean);
+    }
+
+    migrateCustomModels() {
+        // Settings from before the model registry kept extra models as a comma-separated list per provider
+        for (const [id, saved] of Object.entries(this.providerSettings)) {
+            if (!saved.models || !this.providers[id]) continue;
+            
+            const models = { ...this.getProviderModels(id) };
+            for (const name of this.parseModelList(saved.models)) {
+                if (!models[name]) {
+                    models[name] = { label: name, ...this.defaultModelLimits };
+                }
+            }
+            this.modelRegistry[id] = models;
+            delete saved.models;
+        }
+    }
+
+    getProviderModels(id = this.provider) {
+        return this.modelRegistry[id] || (this.providers[id] || this.providers.openai).models;
+    }
+
+    getModelInfo(model) {
+        // Registry entries imported from JSON may leave out limits; unknown models get the defaults
+        const info = this.getProviderModels()[model];
+        return { label: model, ...this.defaultModelLimits, ...info };
+    }
+
+    getModelChunkLimit(model, systemPromptTokens) {
+        // A chunk's translation (up to 1.2x its size) must fit in the model's output limit, and the chunk,
+        // the prompt and the translation together in its context window
+        const info = this.getModelInfo(model);
+        const byOutput = Math.floor(info.maxOutput / 1.2);
+        const byContext = Math.floor((info.contextWindow - systemPromptTokens - this.chatOverheadTokens) / 2.2);
+        return Math.max(100, Math.min(byOutput, byContext));
+    }
+
+    populateModelSelect() {
+        const select = document.getElementById('modelSelect');
+        const previous = select.value;
+        select.innerHTML = '';
+
+        for (const [id, model] of Object.entries(this.getProviderModels())) {
+            const option = document.createElement('option');
+            option.value = id;
+            // Prices are stored per 1K tokens but read more naturally per 1M
+            option.textContent = model.input > 0
+                ? `${model.label || id} ($${(model.input * 1000).toFixed(3)} in / $${((model.output || 0) * 1000).toFixed(3)} out per 1M tokens)`
+                : `${model.label || id} (no cost tracked)`;
+            select.appendChild(option);
+        }
+
+        if (select.options.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'Add a model in Settings';
+            select.appendChild(option);
+        }
+
+        select.value = previous;
+        if (!select.value) select.selectedIndex = 0;
+
+        // The analysis only extracts notes, so it defaults to the provider's cheapest model
+        const analysisSelect = document.getElementById('analysisModel');
+        const previousAnalysisModel = analysisSelect.value;
+        analysisSelect.innerHTML = select.innerHTML;
+        analysisSelect.value = previousAnalysisModel;
+        if (!analysisSelect.value) analysisSelect.value = this.getCheapestModel() || select.value;
+    }
+
+    getCheapestModel() {
+        const models = Object.entries(this.getProviderModels());
+        models.sort(([, a], [, b]) => ((a.input || 0) + (a.output || 0)) - ((b.input || 0) + (b.output || 0)));
+        return models.length > 0 ? models[0][0] : '';
+    }
+
+    checkProviderSettings() {
+        const provider = this.getProvider();
+        let problem = null;
+
+        if (!provider.apiKey && !provider.keyOptional) {
+            problem = `Please enter your ${provider.name} API key in Settings`;
+        } else if (!provider.baseUrl) {
+            problem = `Please enter the ${provider.name} endpoint URL in Settings`;
+        } else if (!document.getElementById('modelSelect').value) {
+            problem = `Please add at least one ${provider.format === 'azure' ? 'deployment' : 'model'} name for ${provider.name} in Settings`;
+        }
+
+        if (problem) {
+            alert(problem);
+            this.openSettings();
+            return false;
+        }
+        return true;
+    }
+
+    updateSettingsButton() {
+        // Highlights the settings button once the active provider is usable
+        const provider = this.getProvider();
+        const ready = Boolean(provider.apiKey || provider.keyOptional);
+        const button = document.getElementById('settingsBtn');
+        button.style.background = ready ? 'var(--success-color)' : '';
+        button.style.borderColor = ready ? 'var(--success-color)' : '';
+        button.style.color = ready ? 'white' : '';
+    }
+
+    async acquireRateLimit(estimatedTokens) {
+        // Waits until both buckets can cover this request, then takes its share
+        const limiter = this.rateLimiter;
+        
+        while (true) {
+            const now = Date.now();
+            if (limiter.blockedUntil > now) {
+                await this.sleep(limiter.blockedUntil - now);
+                continue;
+            }
+            
+            const requestWait = this.refillBucket(limiter.requests, 1, now);
+            const tokenWait = this.refillBucket(limiter.tokens, estimatedTokens, now);
+            const wait = Math.max(requestWait, tokenWait);
+            if (wait <= 0) break;
+            
+            console.log(`Rate limiter: waiting ${Math.ceil(wait / 1000)}s for capacity`);
+            await this.sleep(Math.min(wait, 5000)); // re-check regularly, headers may free capacity sooner
+        }
+        
+        if (limiter.requests.available !== null) limiter.requests.available -= 1;
+        if (limiter.tokens.available !== null) limiter.tokens.available -= estimatedTokens;
+    }
+
+    refillBucket(bucket, cost, now) {
+        // Returns how long to wait (ms) before the bucket holds `cost`; 0 when it already does
+        if (bucket.available === null) return 0;
+        
+        bucket.available = Math.min(bucket.limit, bucket.available + (now - bucket.updatedAt) * bucket.refillPerMs);
+        bucket.updatedAt = now;
+        
+        // A single request larger than the whole bucket can only wait for a full bucket
+        const needed = Math.min(cost, bucket.limit);
+        if (bucket.available >= needed) return 0;
+        return bucket.refillPerMs > 0 ? (needed - bucket.available) / bucket.refillPerMs : 1000;
+    }
+
+    updateRateLimits(response) {
+        const headers = response.headers;
+        const now = Date.now();
+        
+        const anthropic = this.getProvider().format === 'anthropic';
+        
+        for (const kind of ['requests', 'tokens']) {
+            const name = part => anthropic ? `anthropic-ratelimit-${kind}-${part}` : `x-ratelimit-${part}-${kind}`;
+            const limit = parseFloat(headers.get(name('limit')));
+            const remaining = parseFloat(headers.get(name('remaining')));
+            if (isNaN(limit) || isNaN(remaining)) continue;
+            
+            // The bucket refills to its limit by the reset time; fall back to a per-minute window
+            const resetMs = this.parseRateLimitDuration(headers.get(name('reset')));
+            const bucket = this.rateLimiter[kind];
+            bucket.limit = limit;
+            bucket.available = remaining;
+            bucket.refillPerMs = resetMs > 0 && remaining < limit ? (limit - remaining) / resetMs : limit / 60000;
+            bucket.updatedAt = now;
+        }
+        
+        const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+        const retryAfter = parseFloat(headers.get('retry-after'));
+        const waitMs = !isNaN(retryAfterMs) ? retryAfterMs : (!isNaN(retryAfter) ? retryAfter * 1000 : 0);
+        if (response.status === 429 || waitMs > 0) {
+            // Hold back every worker, not just the one that was rejected
+            this.rateLimiter.blockedUntil = Math.max(this.rateLimiter.blockedUntil, now + (waitMs || 5000));
+            console.warn(`Rate limited by the API - pausing requests for ${Math.round((waitMs || 5000) / 1000)}s`);
+        }
+        return waitMs;
+    }
+
+    parseRateLimitDuration(value) {
+        // OpenAI reset headers look like "1s", "6m0s" or "120ms"; Anthropic sends an RFC 3339 timestamp
+        if (!value) return 0;
+        if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+            return Math.max(0, Date.parse(value) - Date.now());
+        }
+        let total = 0;
+        for (const [, amount, unit] of value.matchAll(/([\d.]+)(ms|h|m|s)/g)) {
+            total += parseFloat(amount) * { ms: 1, s: 1000, m: 60000, h: 3600000 }[unit];
+        }
+        return total;
+    }
+
+    async readChatStream(response, onDelta, onData) {
+        // Parses the server-sent events of a streamed chat completion (OpenAI or Anthropic) into text, usage and finish reason
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let usage = null;
+        let finishReason = null;
+        let done = false;
+        const anthropicUsage = { input: 0, output: 0 };
+
+        while (!done) {
+            const { value, done: streamDone } = await reader.read().catch(error => { throw this.toNetworkError(error); });
+            if (streamDone) break;
+            onData();
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop(); // keep a partial line for the next read
+
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') {
+                    done = true;
+                    break;
+                }
+
+                const event = JSON.parse(data);
+                if (event.error) {
+                    throw this.createApiError(response.status, event);
+                }
+
+                // Anthropic streams typed events; usage arrives in two halves
+                if (event.type === 'message_start') {
+                    anthropicUsage.input = event.message.usage?.input_tokens || 0;
+                    continue;
+                }
+                if (event.type === 'content_block_delta') {
+                    if (event.delta.text) {
+                        text += event.delta.text;
+                        if (onDelta) onDelta(text);
+                    }
+                    continue;
+                }
+                if (event.type === 'message_delta') {
+                    anthropicUsage.output = event.usage?.output_tokens || 0;
+                    usage = {
+                        prompt_tokens: anthropicUsage.input,
+                        completion_tokens: anthropicUsage.output,
+                        total_tokens: anthropicUsage.input + anthropicUsage.output
+                    };
+                    // Report Anthropic stop reasons in OpenAI terms
+                    finishReason = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', refusal: 'content_filter' }[event.delta.stop_reason] || event.delta.stop_reason;
+                    continue;
+                }
+                if (event.type) continue; // ping, content_block_start/stop, message_stop
+
+                if (event.usage) {
+                    usage = event.usage;
+                }
+
+                const choice = event.choices && event.choices[0];
+                if (!choice) continue;
+                if (choice.finish_reason) {
+                    finishReason = choice.finish_reason;
+                }
+                if (choice.delta && choice.delta.content) {
+                    text += choice.delta.content;
+                    if (onDelta) onDelta(text);
+                }
             }
-        } else {
-            // Transformation mode - just log the analysis without triggering Portuguese detection
-            console.log('📝 Transformation mode - language detection is for analysis only');
-            console.log('✅ Transformation completed (confidence: ' + confidence.toFixed(1) + '%)');
         }
-        
-        const cost = (usage.prompt_tokens / 1000) * pricing.input + 
-                    (usage.completion_tokens / 1000) * pricing.output;
-        
-        return {
-            text: translatedText,
-            tokensUsed: usage.total_tokens,
-            cost: cost
-        };
+
+        reader.cancel().catch(() => {});
+        return { text, usage, finishReason };
+    }
+
+    showStreamingPreview(index, text) {
+        // Keyed by chunk index, since several chunks can stream at once
+        if (!this.translationState.streaming) this.translationState.streaming = {};
+        this.translationState.streaming[index] = text;
+
+        // Re-rendering the whole preview on every token is wasteful; ~10 updates a second is smooth enough
+        const now = Date.now();
+        if (now - this.lastStreamRender < 100) return;
+        this.lastStreamRender = now;
+        this.updatePreview();
+    }
+
+    clearStreamingPreview(index) {
+        if (this.translationState.streaming) {
+            delete this.translationState.streaming[index];
+        }
     }
 
-    async forceEnglishTranslation(text, model) {
-        console.log('🔧 FORCING ENGLISH TRANSLATION - Second attempt with stronger prompt');
+    async forceTargetTranslation(text, model, wrongLanguage) {
+        const target = this.getTargetLanguage();
+        const targetUpper = target.name.toUpperCase();
+        const sourceName = this.getSourceLanguageName();
+        console.log(`🔧 FORCING ${targetUpper} TRANSLATION - Second attempt with stronger prompt`);
         
         // Ultra-strong system prompt
-        const forcePrompt = `CRITICAL INSTRUCTION: You MUST translate the following text to ENGLISH ONLY. 
-DO NOT respond in Portuguese, Spanish, or any other language. 
-Your response must be 100% in English language.
-You are translating FROM Portuguese TO English.
-ENGLISH OUTPUT REQUIRED. NO EXCEPTIONS.
+        let forcePrompt = `CRITICAL INSTRUCTION: You MUST translate the following text to ${targetUpper} ONLY. 
+DO NOT respond in ${wrongLanguage} or any other language. 
+Your response must be 100% in ${target.name}.
+${sourceName ? `You are translating FROM ${sourceName} TO ${target.name}.\n` : ''}${targetUpper} OUTPUT REQUIRED. NO EXCEPTIONS.
 
-Translate this text to English:`;
+Translate this text to ${target.name}:`;
+        const glossaryPrompt = this.buildGlossaryPrompt(text);
+        if (glossaryPrompt) {
+            forcePrompt += '\n\n' + glossaryPrompt;
+        }
+        const styleSheetPrompt = this.buildStyleSheetPrompt();
+        if (styleSheetPrompt) {
+            forcePrompt += '\n\n' + styleSheetPrompt;
+        }
 
         // Even more explicit user message
-        const userMessage = `TRANSLATE TO ENGLISH (NOT Portuguese): ${text}
-
-IMPORTANT: Your response must be in English language only. Do not include any Portuguese text in your response.`;
-
-        const requestBody = {
-            model: model,
-            messages: [
-                { role: 'system', content: forcePrompt },
-                { role: 'user', content: userMessage }
-            ],
-            temperature: 0.0, // Maximum consistency
-            max_tokens: this.getMaxTokensForModel(model, text)
-        };
+        const userMessage = `TRANSLATE TO ${targetUpper} (NOT ${wrongLanguage}): ${text}
+
+IMPORTANT: Your response must be in ${target.name} only. Do not include any ${wrongLanguage} text in your response.`;
 
         console.log('=== FORCE TRANSLATION REQUEST ===');
         console.log('Force system prompt:', forcePrompt);
         console.log('Force user message preview:', userMessage.substring(0, 150) + '...');
         
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.apiKey}`
-            },
-            body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-            console.error('Force translation API request failed');
-            throw new Error('Force translation failed - using original Portuguese result');
+        let completion;
+        try {
+            completion = await this.requestCompletion({
+                model,
+                system: forcePrompt,
+                user: userMessage,
+                temperature: 0.0, // Maximum consistency
+                maxTokens: this.getMaxTokensForModel(model, text)
+            });
+        } catch (error) {
+            // Keep the error's type so the retry policy still applies
+            console.error(`Force translation API request failed (model had answered in ${wrongLanguage}):`, error);
+            throw error;
         }
-
-        const data = await response.json();
-        const translatedText = data.choices[0].message.content;
-        const usage = data.usage;
-        const pricing = this.modelPricing[model];
+        const translatedText = completion.text;
+        const usage = completion.usage;
+        const cost = completion.cost;
         
         console.log('=== FORCE TRANSLATION RESULT ===');
         console.log('Forced result (first 300 chars):', translatedText.substring(0, 300) + '...');
         
-        // Re-check if it's now in English
-        const lowerText = translatedText.toLowerCase();
-        const portugueseTest = ['que', 'para', 'com', 'uma', 'não'].some(word => 
-            new RegExp(`\\b${word}\\b`).test(lowerText)
-        );
-        
-        if (portugueseTest) {
-            console.error('🚨 FORCE TRANSLATION ALSO FAILED - OpenAI is not cooperating');
+        // Re-check if it's now in the target language
+        if (this.detectOutputLanguage(translatedText).wrongLanguage) {
+            console.error('🚨 FORCE TRANSLATION ALSO FAILED - the model is not cooperating');
             console.error('This is likely a model issue or API problem');
             
-            // Last resort: add warning prefix to the Portuguese result
-            const warningText = `[WARNING: Translation failed - OpenAI returned Portuguese instead of English]\n\n${translatedText}`;
+            // Last resort: add warning prefix to the wrong-language result
+            const warningText = `[WARNING: Translation failed - the model returned ${wrongLanguage} instead of ${target.name}]\n\n${translatedText}`;
             return {
                 text: warningText,
                 tokensUsed: usage.total_tokens,
-                cost: (usage.prompt_tokens / 1000) * pricing.input + (usage.completion_tokens / 1000) * pricing.output
+                cost: cost
             };
         } else {
-            console.log('✅ FORCE TRANSLATION SUCCESSFUL - Now in English');
+            console.log(`✅ FORCE TRANSLATION SUCCESSFUL - Now in ${target.name}`);
             return {
                 text: translatedText,
                 tokensUsed: usage.total_tokens,
-                cost: (usage.prompt_tokens / 1000) * pricing.input + (usage.completion_tokens / 1000) * pricing.output
+                cost: cost
             };
         }
     }
@@ -1614,9 +5524,19 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
         document.getElementById('progressFill').style.width = progress + '%';
         document.getElementById('progressText').textContent = Math.round(progress) + '%';
         document.getElementById('tokensUsed').textContent = this.translationState.tokensUsed.toLocaleString();
-        document.getElementById('costSoFar').textContent = '$' + this.translationState.costSoFar.toFixed(4);
+        const { cap, warning } = this.getBudget();
+        const costSoFar = document.getElementById('costSoFar');
+        costSoFar.textContent = '$' + this.translationState.costSoFar.toFixed(4) + (cap !== null ? ` of $${cap.toFixed(2)}` : '');
+        costSoFar.classList.toggle('budget-warning', warning !== null && this.translationState.costSoFar >= warning);
+        document.getElementById('projectedCost').textContent = this.translationState.chunks.length > 0
+            ? '$' + this.getProjectedCost().toFixed(4)
+            : '-';
         document.getElementById('chunksProgress').textContent = 
             `${this.translationState.currentChunk} / ${this.translationState.chunks.length}`;
+        document.getElementById('memoryHits').textContent =
+            `${this.translationState.memoryHits || 0} ($${(this.translationState.memorySaved || 0).toFixed(4)} saved)`;
+        
+        this.updateBatchJobProgress();
     }
 
     updatePreview() {
@@ -1626,15 +5546,19 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
         
         // Combine all results, including placeholders for missing chunks
         const allResults = [];
+        const streaming = this.translationState.streaming || {};
+        const isStreaming = Object.keys(streaming).length > 0;
         for (let i = 0; i < totalChunks; i++) {
-            if (this.translationState.results[i]) {
+            if (streaming[i] !== undefined) {
+                allResults.push(streaming[i] + ' ▌');
+            } else if (this.translationState.results[i]) {
                 allResults.push(this.translationState.results[i]);
             } else {
                 allResults.push(`[Processing chunk ${i + 1}...]`);
             }
         }
         
-        const combinedText = allResults.join('\n\n');
+        const combinedText = this.getTranslatedText(allResults);
         
         if (combinedText) {
             let previewHtml = `<div style="white-space: pre-wrap; line-height: 1.6;">${this.escapeHtml(combinedText)}</div>`;
@@ -1649,12 +5573,15 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
                 `;
                 previewHtml = summaryHtml + previewHtml;
             }
+            previewHtml = this.getRepairReportHtml() + this.getGlossaryReportHtml() + previewHtml;
             
             preview.innerHTML = previewHtml;
             preview.scrollTop = preview.scrollHeight;
         }
         
-        console.log(`Preview updated: ${completedChunks}/${totalChunks} chunks completed`);
+        if (!isStreaming) {
+            console.log(`Preview updated: ${completedChunks}/${totalChunks} chunks completed`);
+        }
     }
 
     async completeTranslation() {
@@ -1667,9 +5594,7 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
         
         // Analyze translation completeness
         const totalChunks = this.translationState.chunks.length;
-        const successfulChunks = this.translationState.results.filter(result => 
-            result && !result.startsWith('[TRANSLATION FAILED') && !result.startsWith('[UNTRANSLATED') && !result.startsWith('[MISSING TRANSLATION')
-        ).length;
+        const successfulChunks = this.translationState.results.filter(result => result && !this.isFailedResult(result)).length;
         const failedChunks = totalChunks - successfulChunks;
         
         console.log(`Translation complete: ${successfulChunks}/${totalChunks} chunks successful, ${failedChunks} failed`);
@@ -1706,12 +5631,12 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
 
     updateFinalPreview() {
         const preview = document.getElementById('previewContent');
-        const translatedText = this.translationState.results.join('\n\n');
+        const translatedText = this.getTranslatedText();
         
         // Create final content with completion banner preserved
         const completionBanner = preview.querySelector('div[style*="background: var(--success-color)"], div[style*="background: var(--warning-color)"]');
         
-        const finalContent = `<div style="white-space: pre-wrap; line-height: 1.6;">${this.escapeHtml(translatedText)}</div>`;
+        const finalContent = this.getEstimateAccuracyHtml() + this.getRepairReportHtml() + this.getGlossaryReportHtml() + `<div style="white-space: pre-wrap; line-height: 1.6;">${this.escapeHtml(translatedText)}</div>`;
         
         if (completionBanner) {
             preview.innerHTML = '';
@@ -1730,8 +5655,7 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
         const failedIndices = [];
         for (let i = 0; i < this.translationState.results.length; i++) {
             const result = this.translationState.results[i];
-            if (!result || result.startsWith('[TRANSLATION FAILED') || 
-                result.startsWith('[UNTRANSLATED') || result.startsWith('[MISSING TRANSLATION')) {
+            if (!result || this.isFailedResult(result)) {
                 failedIndices.push(i);
             }
         }
@@ -1749,25 +5673,26 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
         document.getElementById('resumeBtn').style.display = 'none';
         
         // Process only failed chunks
-        for (const index of failedIndices) {
+        for (let position = 0; position < failedIndices.length && this.translationState.isRunning; ) {
+            while (this.translationState.isPaused) {
+                await this.sleep(100);
+            }
             if (!this.translationState.isRunning) break;
             
+            // Retries count against the spending cap like the first pass
+            const index = failedIndices[position];
+            const projected = this.projectChunkCost(index);
+            if (this.exceedsBudget(projected)) {
+                await this.pauseForBudget(projected);
+                continue;
+            }
+            
+            position++;
             console.log(`Retrying chunk ${index + 1}`);
             
-            try {
-                const result = await this.translateChunk(this.translationState.chunks[index]);
-                this.translationState.results[index] = result.text;
-                this.translationState.tokensUsed += result.tokensUsed;
-                this.translationState.costSoFar += result.cost;
-                
-                console.log(`Chunk ${index + 1} retry successful`);
-                this.updateProgress();
-                this.updatePreview();
-                
-            } catch (error) {
-                console.error(`Retry failed for chunk ${index + 1}:`, error);
-                // Keep the existing failed marker
-            }
+            // Same retry policy as the first pass; a chunk that fails again gets a fresh failure marker
+            await this.processChunk(index);
+            this.checkSpendWarning();
             
             // Small delay between retries
             await this.sleep(1000);
@@ -1800,6 +5725,7 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
 
     resumeTranslation() {
         this.translationState.isPaused = false;
+        this.translationState.pauseReason = null;
         document.getElementById('pauseBtn').style.display = 'inline-flex';
         document.getElementById('resumeBtn').style.display = 'none';
     }
@@ -1821,7 +5747,7 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
         }
 
         // Combine all results, including failed ones with markers
-        const text = this.translationState.results.join('\n\n');
+        const text = this.getTranslatedText();
         
         if (!text) {
             alert('No content to export');
@@ -1839,7 +5765,7 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
         }
 
         // Combine all results, including failed ones with markers
-        const text = this.translationState.results.join('\n\n');
+        const text = this.getTranslatedText();
         
         if (!text) {
             alert('No content to export');
@@ -1872,15 +5798,181 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
         }
     }
 
+    async exportEpub() {
+        if (!this.translationState.results || this.translationState.results.length === 0) {
+            alert('No translation results to export');
+            return;
+        }
+
+        if (!this.epubStructure || !(this.currentFile instanceof Blob)) {
+            alert('EPUB export needs the original EPUB file. Please upload it again and translate it in this session.');
+            return;
+        }
+
+        try {
+            const blob = await this.buildTranslatedEpub();
+            this.downloadBlob(blob, this.getExportFilename('epub'));
+        } catch (error) {
+            console.error('Error creating EPUB:', error);
+            alert('Error creating EPUB:\n\n' + error.message);
+        }
+    }
+
+    async buildTranslatedEpub() {
+        const zip = await JSZip.loadAsync(this.currentFile);
+        const languageCode = this.getOutputLanguage().code;
+        let translatedTitle = null;
+
+        // Map every translated batch back onto its blocks by marker number; failed batches keep the original text
+        const translations = this.epubStructure.sections.map(() => new Map());
+        let untranslated = 0;
+        this.epubStructure.chunkBlocks.forEach((items, chunkIndex) => {
+            const result = this.translationState.results[chunkIndex];
+            const texts = result ? this.parseMarkedChunkResult(result, items.length) : null;
+            if (!texts) {
+                untranslated += items.length;
+                return;
+            }
+            items.forEach((item, n) => translations[item.section].set(item.block, texts[n]));
+        });
+        if (untranslated > 0) {
+            console.warn(`EPUB export: ${untranslated} text blocks kept their original text`);
+        }
+
+        for (const [sectionIndex, section] of this.epubStructure.sections.entries()) {
+            const sectionTranslations = translations[sectionIndex];
+            if (sectionTranslations.size === 0) continue;
+
+            if (section.role === 'title') {
+                translatedTitle = this.stripEpubMarkup(sectionTranslations.get(0) || '');
+                continue;
+            }
+
+            const content = await zip.file(section.path).async('string');
+            const doc = this.parseEpubDocument(content);
+            this.applyEpubTranslation(this.getEpubTextBlocks(doc), sectionTranslations, section.path);
+
+            doc.documentElement.setAttribute('lang', languageCode);
+            doc.documentElement.setAttributeNS('http://www.w3.org/XML/1998/namespace', 'xml:lang', languageCode);
+
+            const declaration = content.trimStart().startsWith('<?xml') ? '<?xml version="1.0" encoding="utf-8"?>\n' : '';
+            zip.file(section.path, declaration + new XMLSerializer().serializeToString(doc));
+        }
+
+        // Package metadata: target language and translated title
+        const opfContent = await zip.file(this.epubStructure.opfPath).async('string');
+        const opf = new DOMParser().parseFromString(opfContent, 'application/xml');
+        const dcNamespace = 'http://purl.org/dc/elements/1.1/';
+
+        for (const language of Array.from(opf.getElementsByTagNameNS(dcNamespace, 'language'))) {
+            language.textContent = languageCode;
+        }
+
+        const titleNode = opf.getElementsByTagNameNS(dcNamespace, 'title')[0];
+        if (titleNode && translatedTitle && !translatedTitle.startsWith('[')) {
+            titleNode.textContent = translatedTitle;
+        }
+
+        zip.file(this.epubStructure.opfPath, '<?xml version="1.0" encoding="utf-8"?>\n' + new XMLSerializer().serializeToString(opf));
+
+        // The mimetype entry must stay first and uncompressed for readers to accept the package
+        zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+
+        return await zip.generateAsync({
+            type: 'blob',
+            mimeType: 'application/epub+zip',
+            compression: 'DEFLATE'
+        });
+    }
+
+    applyEpubTranslation(blocks, translations, path) {
+        // Blocks are found the same way as at import, so block n here is block n of the translated batch
+        blocks.forEach((block, index) => {
+            const translated = translations.get(index);
+            if (translated === undefined) return;
+            
+            if (!this.applyEpubBlockMarkup(block.element, translated)) {
+                // The model broke the inline tags; keep the words, and the images and anchors, without the formatting
+                console.warn(`EPUB export: inline tags of block ${index + 1} in ${path} could not be matched, formatting dropped`);
+                this.applyEpubBlockMarkup(block.element, this.stripEpubMarkup(translated));
+            }
+        });
+    }
+
+    stripEpubMarkup(text) {
+        // Plain text of translated EPUB batches: no [n] markers or inline tags, one paragraph per block
+        return text.split('\n')
+            .map(line => line.replace(/^\s*\[\d+\]\s?/, '').replace(/<\/?\d+\/?>/g, '').trim())
+            .filter(line => line)
+            .join('\n\n');
+    }
+
+    getTranslatedText(results = this.translationState.results) {
+        return results.map(result => this.epubStructure && result && !this.isFailedResult(result) ? this.stripEpubMarkup(result) : result).join('\n\n');
+    }
+
+    exportSubtitles() {
+        if (!this.translationState.results || this.translationState.results.length === 0) {
+            alert('No translation results to export');
+            return;
+        }
+
+        if (!this.subtitleStructure) {
+            alert('Subtitle export needs the original subtitle file. Please upload it again and translate it in this session.');
+            return;
+        }
+
+        const blob = new Blob([this.buildTranslatedSubtitles()], { type: 'text/plain' });
+        this.downloadBlob(blob, this.getExportFilename(this.subtitleStructure.format));
+    }
+
+    buildTranslatedSubtitles() {
+        const { format, entries, cues, chunkCues } = this.subtitleStructure;
+        let untranslated = 0;
+
+        // Map every translated batch back onto its cues; failed batches keep the original text
+        cues.forEach(cue => { cue.translation = null; });
+        chunkCues.forEach((cueIndexes, chunkIndex) => {
+            const result = this.translationState.results[chunkIndex];
+            const texts = result ? this.parseMarkedChunkResult(result, cueIndexes.length) : null;
+            if (!texts) {
+                untranslated += cueIndexes.length;
+                return;
+            }
+            cueIndexes.forEach((cueIndex, n) => { cues[cueIndex].translation = texts[n]; });
+        });
+
+        if (untranslated > 0) {
+            console.warn(`Subtitle export: ${untranslated} cues kept their original text`);
+        }
+
+        let cueNumber = 0;
+        const blocks = entries.map(entry => {
+            if (entry.type === 'raw') return entry.text;
+
+            const text = entry.translation ?? entry.text;
+            if (format === 'srt') {
+                cueNumber++;
+                return `${cueNumber}\n${entry.timing}\n${text}`;
+            }
+            return (entry.id ? `${entry.id}\n` : '') + `${entry.timing}\n${text}`;
+        });
+
+        // SRT has no header; a VTT file keeps its WEBVTT header as the first raw block
+        return blocks.join('\n\n') + '\n';
+    }
+
     createDocxParagraphs(text) {
         const paragraphs = text.split(/\n\s*\n/);
+        const locale = this.getOutputLanguage().locale;
         return paragraphs.map(paragraph => {
             return new docx.Paragraph({
                 children: [
                     new docx.TextRun({
                         text: paragraph.trim(),
                         font: "Arial",
-                        size: 24 // 12pt font (size is in half-points)
+                        size: 24, // 12pt font (size is in half-points)
+                        language: { value: locale, eastAsia: locale } // proofing language follows the target
                     })
                 ],
                 spacing: {
@@ -1914,7 +6006,7 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
             const transformName = transformationType.replace('-', '_');
             return `${baseName}-transformed_${transformName}.${extension}`;
         } else {
-            return `${baseName}-english.${extension}`;
+            return `${baseName}-${this.getTargetLanguage().name.toLowerCase()}.${extension}`;
         }
     }
 
@@ -1930,25 +6022,232 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
     }
 
     openSettings() {
-        document.getElementById('apiKey').value = this.apiKey;
+        // The modal edits a copy so switching providers back and forth keeps unsaved input until Save or Cancel
+        this.settingsDraft = JSON.parse(JSON.stringify(this.providerSettings));
+        this.registryDraft = JSON.parse(JSON.stringify(this.modelRegistry));
+        this.settingsDraftProvider = this.provider;
+        document.getElementById('providerSelect').value = this.provider;
+        this.showProviderSettings(this.provider);
+        this.setOcrLanguageSelection(this.ocrLanguages);
+        this.updateMemoryCount();
         document.getElementById('settingsModal').classList.add('show');
     }
 
+    setOcrLanguageSelection(languages) {
+        for (const option of document.getElementById('ocrLanguages').options) {
+            option.selected = languages.includes(option.value);
+        }
+    }
+
     closeSettings() {
         document.getElementById('settingsModal').classList.remove('show');
     }
 
+    handleProviderSelectChange() {
+        this.storeProviderSettings(this.settingsDraftProvider);
+        this.storeModelRegistryEntries();
+        this.settingsDraftProvider = document.getElementById('providerSelect').value;
+        this.showProviderSettings(this.settingsDraftProvider);
+    }
+
+    showProviderSettings(id) {
+        const defaults = this.providers[id];
+        const saved = this.settingsDraft[id] || {};
+        
+        document.getElementById('apiKeyLabel').textContent = `${defaults.name} API Key${defaults.keyOptional ? ' (optional)' : ''}`;
+        document.getElementById('apiKey').placeholder = `Enter your ${defaults.name} API key`;
+        document.getElementById('apiKey').value = saved.apiKey || '';
+        document.getElementById('providerBaseUrl').value = saved.baseUrl || '';
+        document.getElementById('providerBaseUrl').placeholder = defaults.baseUrl || 'https://your-resource.openai.azure.com';
+        document.getElementById('providerApiVersion').value = saved.apiVersion || '';
+        document.getElementById('providerApiVersion').placeholder = defaults.apiVersion || '';
+        
+        document.getElementById('apiVersionSetting').style.display = defaults.format === 'azure' ? 'block' : 'none';
+        document.getElementById('modelRegistryLabel').textContent = defaults.format === 'azure' ? `${defaults.name} Deployments` : `${defaults.name} Models`;
+        this.renderModelRegistry();
+    }
+
+    storeProviderSettings(id) {
+        this.settingsDraft[id] = {
+            apiKey: document.getElementById('apiKey').value.trim(),
+            baseUrl: document.getElementById('providerBaseUrl').value.trim(),
+            apiVersion: document.getElementById('providerApiVersion').value.trim()
+        };
+    }
+
+    renderModelRegistry() {
+        const id = this.settingsDraftProvider;
+        const models = this.registryDraft[id] || this.providers[id].models;
+        const attribute = value => this.escapeHtml(String(value ?? '')).replace(/"/g, '&quot;');
+        // Prices are stored per 1K tokens but edited per 1M, as providers list them
+        const perMillion = price => price ? parseFloat((price * 1000).toFixed(6)) : 0;
+        
+        document.getElementById('modelRegistryEntries').innerHTML = Object.entries(models).map(([model, info]) => `
+            <tr data-encoding="${attribute(info.encoding)}">
+                <td><input type="text" data-field="id" value="${attribute(model)}" placeholder="Model ID"></td>
+                <td><input type="text" data-field="label" value="${attribute(info.label)}" placeholder="Label"></td>
+                <td><input type="number" data-field="input" value="${perMillion(info.input)}" min="0" step="any"></td>
+                <td><input type="number" data-field="output" value="${perMillion(info.output)}" min="0" step="any"></td>
+                <td><input type="number" data-field="contextWindow" value="${info.contextWindow || this.defaultModelLimits.contextWindow}" min="1" step="1"></td>
+                <td><input type="number" data-field="maxOutput" value="${info.maxOutput || this.defaultModelLimits.maxOutput}" min="1" step="1"></td>
+                <td><button class="btn-icon" data-action="remove" title="Remove model"><i class="fas fa-times"></i></button></td>
+            </tr>
+        `).join('');
+        
+        const count = Object.keys(models).length;
+        document.getElementById('modelRegistryHelp').textContent = (this.registryDraft[id] ? 'Edited registry' : 'Built-in models') +
+            ` - ${count} model${count === 1 ? '' : 's'}. Prices in USD per 1M tokens; models with no price are not cost-tracked.`;
+    }
+
+    storeModelRegistryEntries() {
+        // Reads the table back into the draft; rows without a model ID are dropped, later duplicates win
+        const id = this.settingsDraftProvider;
+        const models = {};
+        document.querySelectorAll('#modelRegistryEntries tr').forEach(row => {
+            const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+            const model = value('id');
+            if (!model) return;
+            
+            models[model] = {
+                label: value('label') || model,
+                input: (parseFloat(value('input')) || 0) / 1000,
+                output: (parseFloat(value('output')) || 0) / 1000,
+                contextWindow: parseInt(value('contextWindow')) || this.defaultModelLimits.contextWindow,
+                maxOutput: parseInt(value('maxOutput')) || this.defaultModelLimits.maxOutput
+            };
+            if (row.dataset.encoding) models[model].encoding = row.dataset.encoding;
+        });
+        
+        // A table identical to the built-in models is not stored, so later built-in updates still reach it
+        if (this.isSameModelTable(models, this.providers[id].models)) {
+            delete this.registryDraft[id];
+        } else {
+            this.registryDraft[id] = models;
+        }
+    }
+
+    isSameModelTable(a, b) {
+        const normalize = models => JSON.stringify(Object.entries(models).map(([id, info]) =>
+            [id, info.label, info.input, info.output, info.contextWindow, info.maxOutput, info.encoding || '']));
+        return normalize(a) === normalize(b);
+    }
+
+    addModelRegistryEntry() {
+        this.storeModelRegistryEntries();
+        const id = this.settingsDraftProvider;
+        const models = { ...(this.registryDraft[id] || this.providers[id].models) };
+        let name = 'new-model';
+        for (let i = 2; models[name]; i++) name = `new-model-${i}`;
+        models[name] = { label: '', ...this.defaultModelLimits };
+        this.registryDraft[id] = models;
+        this.renderModelRegistry();
+        
+        const inputs = document.querySelectorAll('#modelRegistryEntries input[data-field="id"]');
+        inputs[inputs.length - 1].select();
+    }
+
+    handleModelRegistryClick(e) {
+        const button = e.target.closest('button[data-action="remove"]');
+        if (!button) return;
+        
+        button.closest('tr').remove();
+        this.storeModelRegistryEntries();
+        this.renderModelRegistry();
+    }
+
+    resetModelRegistry() {
+        const id = this.settingsDraftProvider;
+        if (!confirm(`Replace the ${this.providers[id].name} model list with the built-in models and prices?`)) return;
+        
+        delete this.registryDraft[id];
+        this.renderModelRegistry();
+    }
+
+    exportModelRegistry() {
+        // Every provider's table, edited or built-in, so the file can serve as the team's shared registry
+        this.storeModelRegistryEntries();
+        const providers = {};
+        for (const id of Object.keys(this.providers)) {
+            const models = this.registryDraft[id] || this.providers[id].models;
+            providers[id] = Object.entries(models).map(([model, info]) => ({
+                id: model,
+                label: info.label || model,
+                inputPerMillion: parseFloat(((info.input || 0) * 1000).toFixed(6)),
+                outputPerMillion: parseFloat(((info.output || 0) * 1000).toFixed(6)),
+                contextWindow: info.contextWindow || this.defaultModelLimits.contextWindow,
+                maxOutput: info.maxOutput || this.defaultModelLimits.maxOutput,
+                ...(info.encoding ? { encoding: info.encoding } : {})
+            }));
+        }
+        
+        const registry = { format: 'translation-machine-models', version: 1, exportedAt: new Date().toISOString(), providers };
+        this.downloadBlob(new Blob([JSON.stringify(registry, null, 2)], { type: 'application/json' }), 'translation-machine-models.json');
+    }
+
+    async handleModelRegistryImport(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        
+        try {
+            const registry = JSON.parse(await file.text());
+            if (!registry || typeof registry.providers !== 'object') {
+                throw new Error('the file has no "providers" object');
+            }
+            
+            // Providers in the file replace their whole model list; the others are left as they are
+            this.storeModelRegistryEntries();
+            const imported = [];
+            for (const [id, entries] of Object.entries(registry.providers)) {
+                if (!this.providers[id] || !Array.isArray(entries)) continue;
+                
+                const models = {};
+                entries.filter(entry => entry && typeof entry.id === 'string' && entry.id.trim()).forEach(entry => {
+                    models[entry.id.trim()] = {
+                        label: entry.label || entry.id.trim(),
+                        input: (parseFloat(entry.inputPerMillion) || 0) / 1000,
+                        output: (parseFloat(entry.outputPerMillion) || 0) / 1000,
+                        contextWindow: parseInt(entry.contextWindow) || this.defaultModelLimits.contextWindow,
+                        maxOutput: parseInt(entry.maxOutput) || this.defaultModelLimits.maxOutput,
+                        ...(['o200k_base', 'cl100k_base'].includes(entry.encoding) ? { encoding: entry.encoding } : {})
+                    };
+                });
+                if (this.isSameModelTable(models, this.providers[id].models)) {
+                    delete this.registryDraft[id];
+                } else {
+                    this.registryDraft[id] = models;
+                }
+                imported.push(`${this.providers[id].name} (${Object.keys(models).length})`);
+            }
+            
+            if (imported.length === 0) {
+                alert('No known providers found in this file.');
+                return;
+            }
+            this.renderModelRegistry();
+            console.log('Imported model registry:', imported.join(', '));
+            alert(`Imported models for ${imported.join(', ')}. Save Settings to use them.`);
+        } catch (error) {
+            console.error('Model registry import failed:', error);
+            alert('Error importing model registry: ' + error.message);
+        }
+    }
+
     saveSettingsModal() {
-        this.apiKey = document.getElementById('apiKey').value.trim();
+        this.storeProviderSettings(this.settingsDraftProvider);
+        this.storeModelRegistryEntries();
+        this.providerSettings = this.settingsDraft;
+        this.modelRegistry = this.registryDraft;
+        this.provider = this.settingsDraftProvider;
+        this.populateModelSelect();
+        this.updateCostEstimate();
+        const selectedOcrLanguages = Array.from(document.getElementById('ocrLanguages').selectedOptions).map(option => option.value);
+        this.ocrLanguages = selectedOcrLanguages.length > 0 ? selectedOcrLanguages : ['eng'];
         this.saveSettings();
         this.closeSettings();
         
-        if (this.apiKey) {
-            // Update UI to show API key is configured
-            document.getElementById('settingsBtn').style.background = 'var(--success-color)';
-            document.getElementById('settingsBtn').style.borderColor = 'var(--success-color)';
-            document.getElementById('settingsBtn').style.color = 'white';
-        }
+        // Update UI to show the provider is configured
+        this.updateSettingsButton();
     }
 
     toggleApiKeyVisibility() {
@@ -1964,6 +6263,323 @@ IMPORTANT: Your response must be in English language only. Do not include any Po
         }
     }
 
+    openGlossaryManager() {
+        // Like the settings modal, edits go to a copy until Save
+        this.glossaryDraft = JSON.parse(JSON.stringify(this.glossaries));
+        this.glossaryDraftName = this.glossaryDraft[this.activeGlossary] ? this.activeGlossary : (Object.keys(this.glossaryDraft).sort()[0] || '');
+        this.renderGlossaryManager();
+        document.getElementById('glossaryModal').classList.add('show');
+    }
+
+    closeGlossaryManager() {
+        document.getElementById('glossaryModal').classList.remove('show');
+    }
+
+    renderGlossaryManager() {
+        const select = document.getElementById('glossaryProjectSelect');
+        select.innerHTML = '';
+        Object.keys(this.glossaryDraft).sort((a, b) => a.localeCompare(b)).forEach(name => {
+            select.add(new Option(name, name));
+        });
+        select.value = this.glossaryDraftName;
+        
+        const glossary = this.glossaryDraft[this.glossaryDraftName];
+        document.getElementById('glossaryEditor').style.display = glossary ? 'block' : 'none';
+        document.getElementById('glossaryEmpty').style.display = glossary ? 'none' : 'block';
+        ['glossaryProjectSelect', 'deleteGlossaryBtn', 'exportGlossaryCsvBtn', 'exportGlossaryTbxBtn'].forEach(id => {
+            document.getElementById(id).disabled = !glossary;
+        });
+        if (!glossary) return;
+        
+        const attribute = value => this.escapeHtml(value || '').replace(/"/g, '&quot;');
+        document.getElementById('glossaryEntries').innerHTML = glossary.entries.map((entry, index) => `
+            <tr data-index="${index}">
+                <td><input type="text" data-field="source" value="${attribute(entry.source)}" placeholder="Source term"></td>
+                <td><input type="text" data-field="target" value="${attribute(entry.target)}" placeholder="Mandated translation"></td>
+                <td><input type="text" data-field="note" value="${attribute(entry.note)}" placeholder="Note (optional)"></td>
+                <td><button class="btn-icon" data-action="remove" title="Remove term"><i class="fas fa-times"></i></button></td>
+            </tr>
+        `).join('');
+        document.getElementById('glossaryCount').textContent = `${glossary.entries.length} terms`;
+    }
+
+    storeGlossaryEntries() {
+        const glossary = this.glossaryDraft[this.glossaryDraftName];
+        if (!glossary) return;
+        
+        glossary.entries = Array.from(document.querySelectorAll('#glossaryEntries tr')).map(row => {
+            const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+            return { source: value('source'), target: value('target'), note: value('note') };
+        });
+    }
+
+    handleGlossaryProjectChange() {
+        this.storeGlossaryEntries();
+        this.glossaryDraftName = document.getElementById('glossaryProjectSelect').value;
+        this.renderGlossaryManager();
+    }
+
+    createGlossary(name = null) {
+        name = (name || prompt('Name of the new glossary project (e.g. the client):') || '').trim();
+        if (!name) return null;
+        if (this.glossaryDraft[name]) {
+            alert(`A glossary named "${name}" already exists`);
+            return null;
+        }
+        
+        this.storeGlossaryEntries();
+        this.glossaryDraft[name] = { name, entries: [], updatedAt: Date.now() };
+        this.glossaryDraftName = name;
+        this.renderGlossaryManager();
+        return this.glossaryDraft[name];
+    }
+
+    deleteGlossary() {
+        const name = this.glossaryDraftName;
+        if (!name || !confirm(`Delete the glossary "${name}" and all its terms?`)) return;
+        
+        delete this.glossaryDraft[name];
+        this.glossaryDraftName = Object.keys(this.glossaryDraft).sort()[0] || '';
+        this.renderGlossaryManager();
+    }
+
+    addGlossaryEntry() {
+        const glossary = this.glossaryDraft[this.glossaryDraftName] || this.createGlossary();
+        if (!glossary) return;
+        
+        this.storeGlossaryEntries();
+        glossary.entries.push({ source: '', target: '', note: '' });
+        this.renderGlossaryManager();
+        
+        const inputs = document.querySelectorAll('#glossaryEntries input[data-field="source"]');
+        inputs[inputs.length - 1].focus();
+    }
+
+    handleGlossaryEntriesClick(e) {
+        const button = e.target.closest('button[data-action="remove"]');
+        if (!button) return;
+        
+        this.storeGlossaryEntries();
+        this.glossaryDraft[this.glossaryDraftName].entries.splice(parseInt(button.closest('tr').dataset.index), 1);
+        this.renderGlossaryManager();
+    }
+
+    async handleGlossaryImport(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        
+        try {
+            const text = (await file.text()).replace(/^\uFEFF/, '');
+            const isTbx = /\.(tbx|xml)$/i.test(file.name) || /^\s*<\?xml|^\s*<(martif|tbx)\b/.test(text);
+            const imported = isTbx ? this.parseGlossaryTbx(text) : { entries: this.parseGlossaryCsv(text) };
+            if (imported.entries.length === 0) {
+                alert('No term pairs found in this file. CSV files need a source and a target column; TBX files need two languages per entry.');
+                return;
+            }
+            
+            const glossary = this.glossaryDraft[this.glossaryDraftName] || this.createGlossary(file.name.replace(/\.[^.]+$/, ''));
+            if (!glossary) return;
+            this.storeGlossaryEntries();
+            
+            // Imported pairs replace existing entries with the same source term
+            const bySource = new Map(glossary.entries.map(entry => [entry.source.toLowerCase(), entry]));
+            imported.entries.forEach(entry => bySource.set(entry.source.toLowerCase(), entry));
+            glossary.entries = Array.from(bySource.values());
+            if (imported.sourceLanguage) glossary.sourceLanguage = imported.sourceLanguage;
+            if (imported.targetLanguage) glossary.targetLanguage = imported.targetLanguage;
+            
+            this.renderGlossaryManager();
+            console.log(`Imported ${imported.entries.length} terms into glossary "${glossary.name}"`);
+            alert(`Imported ${imported.entries.length} terms into "${glossary.name}". Save the glossary to keep them.`);
+        } catch (error) {
+            console.error('Glossary import failed:', error);
+            alert('Error importing glossary: ' + error.message);
+        }
+    }
+
+    parseGlossaryCsv(text) {
+        // Columns: source, target, optional note; the delimiter is whichever of , ; or tab splits the first line most
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = [';', '\t'].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+        
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        // Skip a header row such as "source,target,note"
+        if (rows.length > 0 && /^(source|term|original|src)\b/i.test((rows[0][0] || '').trim()) &&
+            /^(target|translation|tgt)\b/i.test((rows[0][1] || '').trim())) {
+            rows.shift();
+        }
+        
+        return rows
+            .map(([source = '', target = '', note = '']) => ({ source: source.trim(), target: target.trim(), note: note.trim() }))
+            .filter(entry => entry.source && entry.target);
+    }
+
+    parseGlossaryTbx(text) {
+        // Reads TBX 2 (martif/termEntry/langSet/tig) and TBX 3 (tbx/conceptEntry/langSec/termSec)
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The TBX file is not well-formed XML');
+        }
+        
+        const byName = (element, ...names) => names.flatMap(name => Array.from(element.getElementsByTagNameNS('*', name)));
+        const langOf = element => (element.getAttribute('xml:lang') || '').toLowerCase().split(/[-_]/)[0];
+        const concepts = byName(doc, 'termEntry', 'conceptEntry').map(concept => ({
+            note: (byName(concept, 'note', 'descrip')[0]?.textContent || '').trim(),
+            terms: byName(concept, 'langSet', 'langSec')
+                .map(set => ({ lang: langOf(set), term: (byName(set, 'term')[0]?.textContent || '').trim() }))
+                .filter(set => set.term)
+        }));
+        
+        // The root's xml:lang names the source language; the target is the selected one when the file has it
+        const languages = [...new Set(concepts.flatMap(concept => concept.terms.map(set => set.lang)))];
+        const sourceLanguage = languages.includes(langOf(doc.documentElement)) ? langOf(doc.documentElement) : languages[0];
+        const targetLanguage = languages.includes(this.targetLanguage) && this.targetLanguage !== sourceLanguage
+            ? this.targetLanguage
+            : languages.find(lang => lang !== sourceLanguage);
+        console.log(`TBX languages: ${languages.join(', ')}; using ${sourceLanguage} → ${targetLanguage}`);
+        
+        const entries = concepts.map(concept => ({
+            source: concept.terms.find(set => set.lang === sourceLanguage)?.term || '',
+            target: concept.terms.find(set => set.lang === targetLanguage)?.term || '',
+            note: concept.note
+        })).filter(entry => entry.source && entry.target);
+        
+        return { entries, sourceLanguage, targetLanguage };
+    }
+
+    exportGlossary(format) {
+        this.storeGlossaryEntries();
+        const glossary = this.glossaryDraft[this.glossaryDraftName];
+        if (!glossary) return;
+        
+        const entries = glossary.entries.filter(entry => entry.source && entry.target);
+        const content = format === 'tbx' ? this.buildGlossaryTbx(glossary, entries) : this.buildGlossaryCsv(entries);
+        const type = format === 'tbx' ? 'application/x-tbx+xml' : 'text/csv';
+        const filename = `${glossary.name.replace(/[^\p{L}\p{N}_-]+/gu, '-')}.${format}`;
+        this.downloadBlob(new Blob([content], { type: `${type};charset=utf-8` }), filename);
+    }
+
+    buildGlossaryCsv(entries) {
+        const quote = value => /[",;\t\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const rows = [['source', 'target', 'note'], ...entries.map(entry => [entry.source, entry.target, entry.note || ''])];
+        // The BOM makes Excel read the file as UTF-8
+        return '\uFEFF' + rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+    }
+
+    buildGlossaryTbx(glossary, entries) {
+        // TBX-Basic (ISO 30042:2019) with one conceptEntry per term pair
+        const namespace = 'urn:iso:std:iso:30042:ed-2';
+        const xmlNamespace = 'http://www.w3.org/XML/1998/namespace';
+        const sourceLanguage = glossary.sourceLanguage || (this.sourceLanguage !== 'auto' ? this.sourceLanguage : 'und');
+        const targetLanguage = glossary.targetLanguage || this.targetLanguage;
+        
+        const doc = document.implementation.createDocument(namespace, 'tbx', null);
+        const root = doc.documentElement;
+        const append = (parent, name, text = null) => {
+            const element = doc.createElementNS(namespace, name);
+            if (text !== null) element.textContent = text;
+            parent.appendChild(element);
+            return element;
+        };
+        root.setAttribute('type', 'TBX-Basic');
+        root.setAttribute('style', 'dca');
+        root.setAttributeNS(xmlNamespace, 'xml:lang', sourceLanguage);
+        
+        const fileDesc = append(append(root, 'tbxHeader'), 'fileDesc');
+        append(append(fileDesc, 'sourceDesc'), 'p', `Glossary "${glossary.name}" exported from Translation Machine`);
+        
+        const body = append(append(root, 'text'), 'body');
+        entries.forEach((entry, index) => {
+            const concept = append(body, 'conceptEntry');
+            concept.setAttribute('id', `c${index + 1}`);
+            if (entry.note) append(concept, 'note', entry.note);
+            [[sourceLanguage, entry.source], [targetLanguage, entry.target]].forEach(([lang, term]) => {
+                const langSec = append(concept, 'langSec');
+                langSec.setAttributeNS(xmlNamespace, 'xml:lang', lang);
+                append(append(langSec, 'termSec'), 'term', term);
+            });
+        });
+        
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(doc);
+    }
+
+    async saveGlossaryManager() {
+        this.storeGlossaryEntries();
+        Object.values(this.glossaryDraft).forEach(glossary => {
+            glossary.entries = glossary.entries.filter(entry => entry.source && entry.target);
+            const saved = this.glossaries[glossary.name];
+            if (!saved || JSON.stringify(saved.entries) !== JSON.stringify(glossary.entries)) {
+                glossary.updatedAt = Date.now();
+            }
+        });
+        
+        if (this.db) {
+            try {
+                // Keep the manager open until the glossaries are really stored, so a failed save loses nothing
+                await new Promise((resolve, reject) => {
+                    const transaction = this.db.transaction(['glossaries'], 'readwrite');
+                    const store = transaction.objectStore('glossaries');
+                    Object.keys(this.glossaries)
+                        .filter(name => !this.glossaryDraft[name])
+                        .forEach(name => store.delete(name));
+                    Object.values(this.glossaryDraft).forEach(glossary => store.put(glossary));
+                    transaction.oncomplete = () => resolve();
+                    transaction.onerror = () => reject(transaction.error);
+                    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+                });
+            } catch (error) {
+                console.error('Failed to save glossaries:', error);
+                alert('Failed to save glossaries: ' + (error?.message || error));
+                return;
+            }
+        }
+        
+        this.glossaries = this.glossaryDraft;
+        if (this.glossaryDraftName && !this.activeGlossary) {
+            // Saving a glossary usually means it should apply to the next translation
+            this.activeGlossary = this.glossaryDraftName;
+        }
+        this.populateGlossarySelect();
+        this.saveSettings();
+        this.closeGlossaryManager();
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
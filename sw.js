@@ -1,16 +1,24 @@
-const CACHE_NAME = 'translation-machine-v1';
+const CACHE_NAME = 'translation-machine-v3';
 const urlsToCache = [
     '/',
     '/index.html',
     '/styles.css',
     '/app.js',
+    '/tokenizer-worker.js',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
 ];
+// Loaded by tokenizer-worker.js; cached separately so a failed download does not stop the app from installing
+const optionalUrlsToCache = [
+    'https://unpkg.com/gpt-tokenizer@2.9.0/dist/o200k_base.js',
+    'https://unpkg.com/gpt-tokenizer@2.9.0/dist/cl100k_base.js'
+];
 
 self.addEventListener('install', (event) => {
     event.waitUntil(
         caches.open(CACHE_NAME)
-            .then((cache) => cache.addAll(urlsToCache))
+            .then((cache) => cache.addAll(urlsToCache)
+                .then(() => cache.addAll(optionalUrlsToCache)
+                    .catch((error) => console.warn('Tokenizer bundles not cached:', error))))
     );
 });
 
@@ -0,0 +1,38 @@
+// Counts BPE tokens off the main thread for Translation Machine.
+// The tokenizer bundles are a few MB each, so an encoding is only loaded when it is first asked for.
+// o200k_base is only published from gpt-tokenizer 2.2; keep these URLs in step with sw.js.
+const TOKENIZER_URLS = {
+    o200k_base: 'https://unpkg.com/gpt-tokenizer@2.9.0/dist/o200k_base.js',
+    cl100k_base: 'https://unpkg.com/gpt-tokenizer@2.9.0/dist/cl100k_base.js'
+};
+
+function getTokenizer(encoding) {
+    const globalName = `GPTTokenizer_${encoding}`;
+    if (!self[globalName]) {
+        if (!TOKENIZER_URLS[encoding]) {
+            throw new Error(`Unknown encoding ${encoding}`);
+        }
+        importScripts(TOKENIZER_URLS[encoding]);
+    }
+    return self[globalName];
+}
+
+function countTokens(tokenizer, text) {
+    try {
+        return tokenizer.encode(text).length;
+    } catch (error) {
+        // Text containing special-token markup such as <|endoftext|> is refused; count it with the markers as one token each
+        const markers = text.match(/<\|[^|>]*\|>/g) || [];
+        return tokenizer.encode(text.replace(/<\|[^|>]*\|>/g, ' ')).length + markers.length;
+    }
+}
+
+self.onmessage = (event) => {
+    const { id, encoding, texts } = event.data;
+    try {
+        const tokenizer = getTokenizer(encoding);
+        self.postMessage({ id, counts: texts.map(text => countTokens(tokenizer, text)) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};